@@ -0,0 +1,280 @@
+"use strict";
+
+const { extractUrls, deduplicateLinks, partitionLinks, countStatuses, resultDetails } = require("./core");
+const { generateApiKey, apiKeyDigest, verifyApiKey } = require("./auth");
+const { nowIso } = require("./log");
+const OPENAPI = require("./openapi.json");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const ACCESS_DENIALS = {
+  chat_not_allowed: "The user this key acts for is not in ALLOWED_CHAT_IDS",
+  banned: "The user this key acts for is banned",
+  auth_required: "The user this key acts for is not authenticated",
+};
+const API_KEY_PATTERN = /^tck_([0-9a-f]{8})_/;
+
+/**
+ * REST API keys in the store's "apikeys" namespace, keyed by key id. Only the
+ * key's digest is stored; the key itself is shown once, when it is issued.
+ * Each key acts as the Telegram user it was issued for, so that user's tier,
+ * quota and rate limit apply to its requests.
+ */
+function createApiKeys(options = {}) {
+  const { store } = options;
+  const keys = new Map();
+  const lastUsed = new Map();
+
+  function describe({ digest, ...record }) {
+    return { ...record, lastUsedAt: lastUsed.get(record.id) || null };
+  }
+
+  async function load() {
+    for (const [id, record] of await store.entries("apikeys")) {
+      if (record?.digest) keys.set(id, { ...record, id });
+    }
+    return keys.size;
+  }
+
+  async function issue({ userId, label, createdBy }) {
+    const { id, key } = generateApiKey();
+    const record = { id, digest: apiKeyDigest(key), userId: Number(userId), label: label || null, createdBy: Number(createdBy), createdAt: nowIso() };
+    await store.set("apikeys", id, record);
+    keys.set(id, record);
+    return { key, record: describe(record) };
+  }
+
+  async function revoke(id) {
+    if (!keys.delete(id)) return false;
+    lastUsed.delete(id);
+    await store.delete("apikeys", id);
+    return true;
+  }
+
+  function list() {
+    return [...keys.values()].map(describe);
+  }
+
+  /** The key's record (without the digest) when `key` is valid, else null. */
+  function verify(key, now = Date.now()) {
+    const match = API_KEY_PATTERN.exec(String(key || "").trim());
+    const record = match && keys.get(match[1]);
+    if (!record || !verifyApiKey(key, record.digest)) return null;
+    lastUsed.set(record.id, new Date(now).toISOString());
+    return describe(record);
+  }
+
+  return { load, issue, revoke, list, verify };
+}
+
+function apiError(statusCode, code, message, extra = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(apiError(413, "body_too_large", `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch {
+        reject(apiError(400, "invalid_json", "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function bearerKey(req) {
+  const header = String(req.headers.authorization || "");
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : req.headers["x-api-key"] || null;
+}
+
+/** Raw links from `link`, `links` and free-form `text`, before dedup and normalization. */
+function requestedLinks(body, maxChars) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw apiError(400, "invalid_body", "Request body must be a JSON object");
+  const links = [];
+  if (body.link !== undefined) links.push(body.link);
+  if (body.links !== undefined) {
+    if (!Array.isArray(body.links)) throw apiError(400, "invalid_body", "links must be an array of strings");
+    links.push(...body.links);
+  }
+  if (links.some((link) => typeof link !== "string")) throw apiError(400, "invalid_body", "link and links must be strings");
+  if (body.text !== undefined) {
+    if (typeof body.text !== "string") throw apiError(400, "invalid_body", "text must be a string");
+    if (body.text.length > maxChars) throw apiError(413, "text_too_large", `text is limited to ${maxChars} characters`);
+    links.push(...extractUrls(body.text));
+  }
+  return links.map((link) => link.trim()).filter(Boolean);
+}
+
+function resultRow(r) {
+  return { link: r.link, status: r.status, reason: r.reason || null, checkedAt: r.checkedAt || null, ...resultDetails(r) };
+}
+
+function resultsBody(results) {
+  return { total: results.length, summary: countStatuses(results), results: results.map(resultRow) };
+}
+
+/**
+ * Request listener for the `/api/` routes (see src/openapi.json). Other paths
+ * go to `next(req, res)`, 404 by default, like createStatusHandler.
+ *
+ * - `keys`: createApiKeys
+ * - `client`: the TeleCheckClient the bot uses
+ * - `jobs`: the bot's job registry, so API jobs count towards MAX_JOBS_PER_USER
+ * - `limits()`: `{ maxLinks, maxChars }`, read per request so reloads apply
+ * - `accessDenial(userId)`: null, or why the key's user may not use the bot
+ *   ("chat_not_allowed", "banned" or "auth_required"), answered with a 403
+ * - `charge(userId, cost)`: null, or a denial `{ reason, message, waitMs }`
+ * - `recordUsage(userId, kind, results)`, `stats(userId)`
+ *
+ * Finished async jobs stay readable for `jobTtlMs`.
+ */
+function createApiHandler(deps) {
+  const { keys, client, jobs } = deps;
+  const log = deps.log || (() => {});
+  const jobTtlMs = Number(deps.jobTtlMs ?? 60 * 60 * 1000);
+  const apiJobs = new Map();
+
+  function pruneJobs(now = Date.now()) {
+    for (const [id, job] of apiJobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > jobTtlMs) apiJobs.delete(id);
+    }
+  }
+
+  function jobBody(job) {
+    const body = { id: job.id, status: job.status, total: job.total, done: job.done, startedAt: job.startedAt, finishedAt: job.finishedAt };
+    if (job.status === "done") return { ...body, ...resultsBody(job.results) };
+    return job.error ? { ...body, error: job.error } : body;
+  }
+
+  function startJob(userId, total) {
+    const job = jobs.start(userId, { total, source: "api" });
+    if (!job) throw apiError(429, "too_many_jobs", `At most ${jobs.maxPerUser} checks may run at once`);
+    return job;
+  }
+
+  async function check(key, body) {
+    const { maxLinks, maxChars } = deps.limits();
+    const { checkable, skipped } = partitionLinks(deduplicateLinks(requestedLinks(body, maxChars)));
+    if (checkable.length === 0 && skipped.length === 0) throw apiError(400, "no_links", "No links found in the request");
+    if (checkable.length > maxLinks) throw apiError(413, "too_many_links", `At most ${maxLinks} links per request`);
+    const runAsync = body.async === true && checkable.length > 0;
+    // Take the job slot before charging, so a request refused for too many jobs costs nothing.
+    const job = runAsync || checkable.length > 1 ? startJob(key.userId, checkable.length) : null;
+    try {
+      const denial = checkable.length > 0 ? await deps.charge(key.userId, checkable.length) : null;
+      if (denial) {
+        const headers = Number.isFinite(denial.waitMs) ? { "Retry-After": String(Math.ceil(denial.waitMs / 1000)) } : {};
+        throw apiError(429, denial.reason, denial.message, { headers });
+      }
+    } catch (err) {
+      if (job) jobs.finish(job.id);
+      throw err;
+    }
+    const fresh = body.fresh === true;
+    const kind = checkable.length === 1 ? "single" : "bulk";
+
+    if (runAsync) {
+      const state = { id: job.id, keyId: key.id, status: "running", total: checkable.length + skipped.length, done: skipped.length, startedAt: nowIso(), finishedAt: null };
+      apiJobs.set(job.id, state);
+      client
+        .checkBulk(checkable, { fresh, signal: job.signal, onProgress: (rows) => (state.done += rows.length) })
+        .then(async (checked) => {
+          state.results = [...checked, ...skipped];
+          state.status = "done";
+          await deps.recordUsage(key.userId, kind, state.results);
+        })
+        .catch((err) => {
+          state.status = err?.code === "JOB_CANCELLED" ? "cancelled" : "failed";
+          state.error = err.message;
+          if (state.status === "failed") log("error", "api_job_failed", { job_id: job.id, key_id: key.id, message: err.message });
+        })
+        .finally(() => {
+          state.finishedAt = nowIso();
+          jobs.finish(job.id);
+        });
+      return { statusCode: 202, body: { job: jobBody(state) }, headers: { Location: `/api/jobs/${job.id}` } };
+    }
+
+    let checked = [];
+    if (checkable.length === 1) checked = [await client.checkSingle(checkable[0], { fresh })];
+    else if (job) {
+      try {
+        checked = await client.checkBulk(checkable, { fresh, signal: job.signal });
+      } finally {
+        jobs.finish(job.id);
+      }
+    }
+    const results = [...checked, ...skipped];
+    if (checked.length > 0) await deps.recordUsage(key.userId, kind, results);
+    return { statusCode: 200, body: resultsBody(results) };
+  }
+
+  async function route(req, pathname, key) {
+    if (req.method === "POST" && pathname === "/api/check") return check(key, await readJsonBody(req));
+    const jobMatch = /^\/api\/jobs\/(\d+)$/.exec(pathname);
+    if (req.method === "GET" && jobMatch) {
+      pruneJobs();
+      const job = apiJobs.get(Number(jobMatch[1]));
+      // Jobs started with another key are reported as missing rather than forbidden.
+      if (!job || job.keyId !== key.id) throw apiError(404, "job_not_found", "No such job");
+      return { statusCode: 200, body: jobBody(job) };
+    }
+    if (req.method === "GET" && pathname === "/api/stats") return { statusCode: 200, body: await deps.stats(key.userId) };
+    throw apiError(404, "not_found", "Not found");
+  }
+
+  return async (req, res, next) => {
+    const pathname = String(req.url || "").split("?")[0];
+    if (pathname !== "/api" && !pathname.startsWith("/api/")) {
+      if (next) next(req, res);
+      else sendJson(res, 404, { error: "not_found", message: "Not found" });
+      return;
+    }
+    if (req.method === "GET" && pathname === "/api/openapi.json") {
+      sendJson(res, 200, OPENAPI);
+      return;
+    }
+    try {
+      const key = keys.verify(bearerKey(req));
+      if (!key) throw apiError(401, "unauthorized", "Missing or invalid API key", { headers: { "WWW-Authenticate": "Bearer" } });
+      const denied = deps.accessDenial(key.userId);
+      if (denied) throw apiError(403, denied, ACCESS_DENIALS[denied] || "Access denied");
+      const { statusCode, body, headers } = await route(req, pathname, key);
+      sendJson(res, statusCode, body, headers);
+    } catch (err) {
+      if (err.statusCode) {
+        sendJson(res, err.statusCode, { error: err.code, message: err.message }, err.headers);
+      } else if (err.code === "CHECKER_UNAVAILABLE") {
+        sendJson(res, 503, { error: "checker_unavailable", message: err.message }, { "Retry-After": String(Math.max(1, Math.ceil(err.retryInMs / 1000))) });
+      } else {
+        log("error", "api_request_failed", { method: req.method, path: pathname, message: err.message });
+        sendJson(res, 500, { error: "internal_error", message: "Internal error" });
+      }
+    }
+  };
+}
+
+module.exports = { createApiKeys, createApiHandler };
@@ -0,0 +1,2478 @@
+"use strict";
+
+const http = require("http");
+const path = require("path");
+const axios = require("axios");
+const { Telegraf, Markup } = require("telegraf");
+const {
+  parseTelegramLink,
+  extractUrls,
+  partitionLinks,
+  documentFormat,
+  extractLinksFromDocument,
+  buildBulkSummary,
+  buildBulkLines,
+  diffResults,
+  SORT_ORDERS,
+  DETAIL_LEVELS,
+  EXPORT_FORMATS,
+  serializeResults,
+  chunkLines,
+} = require("./core");
+const { createResultCache } = require("./cache");
+const { createWatchStore } = require("./watchlist");
+const { createBulkSessions } = require("./sessions");
+const { createJobRegistry } = require("./jobs");
+const { createMetricsRegistry, createStatusHandler, createStatusServer } = require("./metrics");
+const { createApiKeys, createApiHandler } = require("./api");
+const { createStore, importLegacyFiles, importLegacyWatchlist } = require("./storage");
+const { createHistory } = require("./history");
+const { normalizeListName, createLinkLists, listRunChanges } = require("./lists");
+const { verifyPassword, generateInviteCode, inviteKey, createLockout } = require("./auth");
+const { formatDuration, createTokenBuckets, createQuotaTracker } = require("./quota");
+const { LOCALES, CATALOGS, resolveLocale, createTranslator, translations } = require("./i18n");
+const { createUsageStats, recentDays, digestPeriods, nextDigestAt } = require("./usage");
+const { RELOADABLE_KEYS, loadConfig, withDefaults, describeConfig, changedKeys } = require("./config");
+const { TeleCheckClient } = require("./client");
+const { nowIso, log: defaultLog } = require("./log");
+
+const OUTPUT_MODES = ["inline", "file", "auto"];
+const GROUP_MODES = ["off", "silent", "summary"];
+const USAGE_STATS_DAYS = 7;
+
+/** TeleCheckClient options from the bot config. */
+function clientOptions(config) {
+  return {
+    baseURL: config.API_BASE_URL,
+    timeoutMs: config.REQUEST_TIMEOUT_MS,
+    backends: config.CHECKER_BACKENDS,
+    concurrency: config.CHECK_CONCURRENCY,
+    batchSize: config.BULK_BATCH_SIZE,
+    retryAttempts: config.RETRY_ATTEMPTS,
+    retryBaseDelayMs: config.RETRY_BASE_DELAY_MS,
+    retryAfterMaxMs: config.RETRY_AFTER_MAX_MS,
+    breakerFailureThreshold: config.BREAKER_FAILURE_THRESHOLD,
+    breakerCooldownMs: config.BREAKER_COOLDOWN_MS,
+    breakerHalfOpenProbes: config.BREAKER_HALF_OPEN_PROBES,
+    latencyWindowSize: config.LATENCY_WINDOW_SIZE,
+  };
+}
+
+/**
+ * Builds the TeleCheck Telegram bot without starting anything: handlers are
+ * registered on `deps.bot` (or a new Telegraf for `deps.token`), and nothing
+ * is loaded, scheduled or listened on until `start()` or `launch()`.
+ *
+ * - `config`: typed settings as loadConfig returns them; missing keys get defaults
+ * - `client`: a TeleCheckClient; built from `config` when omitted
+ * - `store`: a storage backend (open/entries/get/set/delete/close)
+ * - `readConfig`: returns a fresh config for /reload; defaults to process.env and CONFIG_FILE
+ * - `log`: `(level, msg, meta)`; defaults to JSON lines on stdout/stderr
+ */
+function createBot(deps = {}) {
+  const log = deps.log || defaultLog;
+  let config = withDefaults({ ...deps.config, ...(deps.token ? { BOT_TOKEN: deps.token } : {}) });
+  const readConfig = deps.readConfig || (() => loadConfig({ env: process.env, file: process.env.CONFIG_FILE || "" }));
+  const startedAt = Date.now();
+  const bot = deps.bot || new Telegraf(config.BOT_TOKEN);
+  const metrics = createMetricsRegistry({ prefix: "telecheck_" });
+  // An injected client brings its own cache; only a client built here gets the persisted one.
+  const cacheStorePath = !deps.client && config.CACHE_STORE_FILE ? path.resolve(process.cwd(), config.CACHE_STORE_FILE) : null;
+  const client =
+    deps.client ||
+    new TeleCheckClient({
+      ...clientOptions(config),
+      cache: createResultCache({
+        maxEntries: config.CACHE_MAX_ENTRIES,
+        ttlValidMs: config.CACHE_TTL_VALID_MS,
+        ttlInvalidMs: config.CACHE_TTL_INVALID_MS,
+        ttlUnknownMs: config.CACHE_TTL_UNKNOWN_MS,
+        file: cacheStorePath,
+        onError: (err) => log("error", "result_cache_persist_failed", { file: cacheStorePath, message: err.message }),
+      }),
+      metrics,
+      log,
+    });
+  const linkBuckets = createTokenBuckets({ capacity: config.RATE_LIMIT_BURST, refillPerMinute: config.RATE_LIMIT_REFILL_PER_MIN });
+  // One credit per command or message, so free commands cannot be spammed either.
+  const messageBuckets = createTokenBuckets({ capacity: config.MESSAGE_RATE_LIMIT_BURST, refillPerMinute: config.MESSAGE_RATE_LIMIT_REFILL_PER_MIN });
+  const userTiers = new Map();
+  const authenticatedUsers = new Map();
+  const bannedUsers = new Map();
+  const authLockout = createLockout({ maxAttempts: config.AUTH_MAX_ATTEMPTS, baseDelayMs: config.AUTH_LOCKOUT_BASE_MS, maxDelayMs: config.AUTH_LOCKOUT_MAX_MS });
+  const authStorePath = path.isAbsolute(config.AUTH_STORE_FILE) ? config.AUTH_STORE_FILE : path.resolve(process.cwd(), config.AUTH_STORE_FILE);
+  const userPrefs = new Map();
+  // Last Telegram language_code seen per user, for messages sent outside an update (alerts, expiry notices).
+  const userLanguageCodes = new Map();
+  const userPrefsStorePath = path.isAbsolute(config.USER_PREFS_STORE_FILE) ? config.USER_PREFS_STORE_FILE : path.resolve(process.cwd(), config.USER_PREFS_STORE_FILE);
+  const groupSettings = new Map();
+  const groupSettingsStorePath = path.resolve(process.cwd(), config.GROUP_SETTINGS_STORE_FILE);
+  const storePath = deps.store ? deps.store.file : config.STORE_FILE === ":memory:" ? config.STORE_FILE : path.resolve(process.cwd(), config.STORE_FILE);
+  const store =
+    deps.store ||
+    createStore(config.STORE_BACKEND, {
+      file: storePath,
+      writeDelayMs: config.STORE_WRITE_DELAY_MS,
+      onError: (err) => log("error", "store_write_failed", { file: storePath, message: err.message }),
+    });
+  const history = createHistory({ store, maxJobs: config.HISTORY_MAX_JOBS, maxAgeMs: config.HISTORY_MAX_AGE_MS });
+  const quotas = createQuotaTracker({ store, tiers: config.QUOTA_TIERS });
+  const usageStats = createUsageStats({ store, retainDays: config.USAGE_RETENTION_DAYS });
+  const apiKeys = createApiKeys({ store });
+  // A list must fit in one /list check, so it is capped by both the bulk limit and the rate-limit burst.
+  const listLinkLimit = () => Math.min(config.MAX_LINKS_PER_BULK, config.RATE_LIMIT_BURST);
+  const lists = createLinkLists({ store, maxLists: config.LIST_MAX_PER_USER, maxLinks: listLinkLimit() });
+  // `/list save <name>` without links waits for the user's next message in that chat: "userId:chatId" -> { name, expiresAt }.
+  const pendingListSaves = new Map();
+
+  const watchStorePath = path.resolve(process.cwd(), config.WATCH_STORE_FILE);
+  const watchStore = createWatchStore({ store, maxPerUser: config.WATCH_MAX_PER_USER });
+  const jobs = createJobRegistry({ maxPerUser: config.MAX_JOBS_PER_USER });
+  const bulkSessions = createBulkSessions({ ttlMs: config.BULK_SESSION_TTL_MS, maxLinks: config.MAX_LINKS_PER_BULK });
+  const messagesHandled = metrics.counter("messages_handled_total", "Updates handled, by command or update type.", ["command"]);
+  const rejections = metrics.counter("rejections_total", "Requests rejected before checking.", ["reason"]);
+  metrics.gauge("active_jobs", "Bulk jobs currently running.", [], () => [{ value: jobs.activeCount() }]);
+  metrics.gauge("uptime_seconds", "Seconds since the process started.", [], () => [{ value: Math.round((Date.now() - startedAt) / 1000) }]);
+  const readiness = { launched: false, stores: {} };
+  const statusHandler = createStatusHandler({ registry: metrics, health: healthStatus });
+  let statusServer = null;
+  let apiServer = null;
+  let bulkSessionSweepTimer = null;
+  let watchTimer = null;
+  let watchRoundRunning = false;
+  let digestTimer = null;
+  let launchedHere = false;
+
+  function hasPasswordAuth() {
+    return Boolean(config.AUTH_PASSWORD || config.AUTH_PASSWORD_HASH || config.AUTH_INVITE_ONLY);
+  }
+
+  function isBanned(ctx) {
+    return bannedUsers.has(Number(ctx?.from?.id));
+  }
+
+  function isAuthenticated(ctx) {
+    if (!hasPasswordAuth()) return true;
+    const userId = Number(ctx?.from?.id);
+    return Number.isFinite(userId) && authenticatedUsers.has(userId);
+  }
+
+  function isAuthExemptMessage(text) {
+    return /^(\/(start|help|auth)(@\w+)?(\s|$)|(start|help|auth)\s*$)/i.test(String(text || ""));
+  }
+
+  function sanitizeUserPref(saved) {
+    return {
+      showInvalidBulk: saved?.showInvalidBulk !== false,
+      outputMode: OUTPUT_MODES.includes(saved?.outputMode) ? saved.outputMode : "inline",
+      outputFormat: EXPORT_FORMATS.includes(saved?.outputFormat) ? saved.outputFormat : "csv",
+      language: LOCALES.includes(saved?.language) ? saved.language : null,
+      sortOrder: SORT_ORDERS.includes(saved?.sortOrder) ? saved.sortOrder : "status",
+      detail: DETAIL_LEVELS.includes(saved?.detail) ? saved.detail : "detailed",
+      groupByKind: saved?.groupByKind === true,
+    };
+  }
+
+  function getUserPref(userId) {
+    const id = Number(userId);
+    const saved = Number.isFinite(id) ? userPrefs.get(id) : null;
+    return sanitizeUserPref(saved);
+  }
+
+  // Options for buildBulkLines/buildBulkSummary from the user's output preferences.
+  function resultOptions(pref, t) {
+    return { showInvalid: pref.showInvalidBulk, sort: pref.sortOrder, detail: pref.detail, group: pref.groupByKind, t };
+  }
+
+  function sanitizeGroupSetting(saved) {
+    return {
+      mode: GROUP_MODES.includes(saved?.mode) ? saved.mode : "off",
+      deleteDead: saved?.deleteDead === true,
+    };
+  }
+
+  function getGroupSetting(chatId) {
+    const id = Number(chatId);
+    const saved = Number.isFinite(id) ? groupSettings.get(id) : null;
+    return sanitizeGroupSetting(saved);
+  }
+
+  function isGroupChat(ctx) {
+    return ctx?.chat?.type === "group" || ctx?.chat?.type === "supergroup";
+  }
+
+  function shouldShowInvalidBulkForCtx(ctx) {
+    const userId = Number(ctx?.from?.id);
+    return getUserPref(userId).showInvalidBulk;
+  }
+
+  /**
+   * The user's interface language: their /lang choice, else their Telegram
+   * language when we ship it, else DEFAULT_LANGUAGE.
+   */
+  function localeFor(userId, languageCode = userLanguageCodes.get(Number(userId))) {
+    return getUserPref(userId).language || resolveLocale(languageCode) || config.DEFAULT_LANGUAGE;
+  }
+
+  function translatorFor(ctx) {
+    return createTranslator(localeFor(ctx?.from?.id, ctx?.from?.language_code));
+  }
+
+  function mainKeyboard(ctx) {
+    const t = translatorFor(ctx);
+    const rows = [];
+    rows.push([t("keyboard.check"), t("keyboard.bulk")]);
+    rows.push([t("keyboard.settings")]);
+    return Markup.keyboard(rows).resize();
+  }
+
+  /**
+   * Opens the store (running schema migrations), imports the legacy JSON files
+   * on first use and hydrates the in-memory auth, prefs and group settings.
+   */
+  async function loadStore() {
+    const opened = await store.open();
+    if (opened.migratedFrom !== null) {
+      log("info", "store_migrated", { backend: store.backend, file: storePath, from: opened.migratedFrom, to: opened.version });
+    }
+    const imported = await importLegacyFiles(store, {
+      authFile: authStorePath,
+      prefsFile: userPrefsStorePath,
+      groupSettingsFile: groupSettingsStorePath,
+    });
+    if (imported) log("info", "store_legacy_imported", { file: storePath, ...imported });
+
+    for (const [key, value] of await store.entries("auth")) {
+      const id = Number(key);
+      if (Number.isFinite(id)) authenticatedUsers.set(id, value || {});
+    }
+    for (const [key, value] of await store.entries("bans")) {
+      const id = Number(key);
+      if (Number.isFinite(id)) bannedUsers.set(id, value || {});
+    }
+    for (const [key, value] of await store.entries("tiers")) {
+      const id = Number(key);
+      // Kept even when the tier is not configured right now; a reload may bring it back.
+      if (Number.isFinite(id) && value?.tier) userTiers.set(id, String(value.tier));
+    }
+    await quotas.load();
+    await usageStats.load();
+    await apiKeys.load();
+    for (const [key, value] of await store.entries("prefs")) {
+      const id = Number(key);
+      if (Number.isFinite(id)) userPrefs.set(id, sanitizeUserPref(value));
+    }
+    for (const [key, value] of await store.entries("groups")) {
+      const id = Number(key);
+      if (Number.isFinite(id)) groupSettings.set(id, sanitizeGroupSetting(value));
+    }
+    markStoreLoaded("store", true);
+    log("info", "store_loaded", {
+      backend: store.backend,
+      file: storePath,
+      users: authenticatedUsers.size,
+      prefs: userPrefs.size,
+      chats: groupSettings.size,
+    });
+  }
+
+  function markStoreLoaded(name, ok) {
+    readiness.stores[name] = ok;
+  }
+
+  /**
+   * Liveness means the bot finished launching. Readiness also needs every store
+   * loaded and at least one checker backend whose circuit breaker is not open.
+   */
+  function healthStatus() {
+    const upstream = Object.fromEntries(client.upstreamStatus().breakers.map((snap) => [snap.name, snap.state]));
+    const storesLoaded = Object.keys(readiness.stores).length > 0 && Object.values(readiness.stores).every(Boolean);
+    const upstreamReachable = Object.values(upstream).some((state) => state !== "open");
+    return {
+      live: readiness.launched,
+      ready: readiness.launched && storesLoaded && upstreamReachable,
+      checks: { launched: readiness.launched, stores: { ...readiness.stores }, upstream },
+      uptime_sec: Math.round((Date.now() - startedAt) / 1000),
+    };
+  }
+
+  async function loadResultCache() {
+    if (!cacheStorePath) return;
+    try {
+      const entries = await client.cache.load();
+      log("info", "result_cache_loaded", { file: cacheStorePath, entries });
+      markStoreLoaded("result_cache", true);
+    } catch (err) {
+      log("error", "result_cache_load_failed", { file: cacheStorePath, message: err.message });
+      markStoreLoaded("result_cache", false);
+    }
+  }
+
+  /** Imports the legacy watchlist file on first use, then loads the "watch" namespace; needs loadStore() first. */
+  async function loadWatchStore() {
+    try {
+      const imported = await importLegacyWatchlist(store, watchStorePath);
+      if (imported) log("info", "watch_store_legacy_imported", { file: watchStorePath, users: imported });
+      const users = await watchStore.load();
+      log("info", "watch_store_loaded", { users });
+      markStoreLoaded("watchlist", true);
+    } catch (err) {
+      log("error", "watch_store_load_failed", { file: watchStorePath, message: err.message });
+      markStoreLoaded("watchlist", false);
+    }
+  }
+
+  async function updateGroupSetting(chatId, patch) {
+    const id = Number(chatId);
+    if (!Number.isFinite(id)) return;
+    groupSettings.set(id, sanitizeGroupSetting({ ...getGroupSetting(id), ...patch }));
+    await store.set("groups", String(id), groupSettings.get(id));
+  }
+
+  async function authenticateUser(ctx, via) {
+    const userId = Number(ctx?.from?.id);
+    if (!Number.isFinite(userId)) return false;
+    if (authenticatedUsers.has(userId)) return false;
+    const record = { authenticatedAt: nowIso(), via, username: ctx.from.username || null, firstName: ctx.from.first_name || null };
+    authenticatedUsers.set(userId, record);
+    await store.set("auth", String(userId), record);
+    return true;
+  }
+
+  async function revokeUser(userId) {
+    if (!authenticatedUsers.delete(userId)) return false;
+    await store.delete("auth", String(userId));
+    return true;
+  }
+
+  async function createInvite(ctx, ttlMs) {
+    const code = generateInviteCode();
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+    await store.set("invites", inviteKey(code), { createdBy: Number(ctx?.from?.id), createdAt: nowIso(), expiresAt });
+    return { code, expiresAt };
+  }
+
+  // Single use: a matching invite is deleted whether or not it has expired.
+  async function redeemInvite(code) {
+    const key = inviteKey(code);
+    const invite = await store.get("invites", key);
+    if (!invite) return false;
+    await store.delete("invites", key);
+    return Date.parse(invite.expiresAt) > Date.now();
+  }
+
+  async function pruneInvites(now = Date.now()) {
+    for (const [key, invite] of await store.entries("invites")) {
+      if (!(Date.parse(invite?.expiresAt) > now)) await store.delete("invites", key);
+    }
+  }
+
+  async function updateUserPref(userId, patch) {
+    const id = Number(userId);
+    if (!Number.isFinite(id)) return;
+    userPrefs.set(id, sanitizeUserPref({ ...getUserPref(id), ...patch }));
+    await store.set("prefs", String(id), userPrefs.get(id));
+  }
+
+  async function setShowInvalidBulk(userId, showInvalidBulk) {
+    await updateUserPref(userId, { showInvalidBulk: Boolean(showInvalidBulk) });
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  function isAllowedChat(ctx) {
+    if (config.ALLOWED_CHAT_IDS.size === 0) return true;
+    const chatId = Number(ctx?.chat?.id);
+    return config.ALLOWED_CHAT_IDS.has(chatId);
+  }
+
+  function isAdmin(ctx) {
+    if (config.ADMIN_USER_IDS.size === 0) return true;
+    const userId = Number(ctx?.from?.id);
+    return config.ADMIN_USER_IDS.has(userId);
+  }
+
+  // User management never falls back to "everyone is admin" when ADMIN_USER_IDS is empty.
+  function isUserManager(ctx) {
+    return config.ADMIN_USER_IDS.has(Number(ctx?.from?.id));
+  }
+
+  function tierFor(userId) {
+    const id = Number(userId);
+    if (config.QUOTA_TIERS[userTiers.get(id)]) return userTiers.get(id);
+    if (config.ADMIN_USER_IDS.has(id) && config.QUOTA_TIERS.admin) return "admin";
+    return config.QUOTA_DEFAULT_TIER;
+  }
+
+  /**
+   * Charges `cost` links against the user's token bucket and daily/monthly
+   * quota. Resolves to null when allowed, otherwise to `{ reason, message, short, waitMs }`
+   * describing the limit hit and how long to wait. `options.dryRun` only checks.
+   */
+  async function chargeLinks(ctx, cost, options = {}) {
+    const now = options.now ?? Date.now();
+    const userId = Number(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    const tier = tierFor(userId);
+    const exhausted = quotas.check(userId, tier, cost, now);
+    if (exhausted) {
+      const wait = formatDuration(exhausted.resetAt - now);
+      const detail =
+        exhausted.remaining > 0
+          ? t("quota.left_needs", { count: exhausted.remaining, cost })
+          : t("quota.used", { used: exhausted.used, limit: exhausted.limit });
+      return {
+        reason: `quota_${exhausted.period}`,
+        message: t(`quota.${exhausted.period}_reached`, { tier, detail, wait }),
+        short: t(`quota.${exhausted.period}_reached_short`, { wait }),
+        waitMs: exhausted.resetAt - now,
+      };
+    }
+    const bucket = options.dryRun ? linkBuckets.check(userId, cost, now) : linkBuckets.take(userId, cost, now);
+    if (!bucket.ok) {
+      if (bucket.waitMs === Infinity) {
+        return {
+          reason: "rate_limited",
+          message: t("rate.burst_exceeded", { cost, capacity: linkBuckets.capacity }),
+          short: t("rate.burst_exceeded_short", { capacity: linkBuckets.capacity }),
+          waitMs: Infinity,
+        };
+      }
+      const wait = formatDuration(bucket.waitMs);
+      return {
+        reason: "rate_limited",
+        message: t("rate.limited", { count: cost, tokens: bucket.tokens, wait }),
+        short: t("rate.limited_short", { wait }),
+        waitMs: bucket.waitMs,
+      };
+    }
+    if (options.dryRun) return null;
+    try {
+      await quotas.consume(userId, cost, now);
+    } catch (err) {
+      log("error", "quota_persist_failed", { user_id: userId, message: err.message });
+    }
+    return null;
+  }
+
+  async function enforceLinkBudget(ctx, cost) {
+    const denial = await chargeLinks(ctx, cost);
+    if (!denial) return true;
+    rejections.inc({ reason: denial.reason });
+    await ctx.reply(denial.message);
+    return false;
+  }
+
+  function statusLabel(t, status) {
+    return t(`status.${status}`).toUpperCase();
+  }
+
+  /**
+   * One result as HTML: a single line in compact mode, otherwise status and link
+   * followed by whatever metadata the checker returned and the failure reason.
+   */
+  function formatOne(result, t, detail = "detailed") {
+    const icons = { valid: "[VALID]", invalid: "[INVALID]", skipped: "[SKIPPED]" };
+    const icon = icons[result.status] || "[UNKNOWN]";
+    if (detail === "compact") return `${icon} <code>${escapeHtml(result.link)}</code>`;
+    const lines = [`${icon} <b>${escapeHtml(statusLabel(t, result.status))}</b>`, t("result.link", { link: `<code>${escapeHtml(result.link)}</code>` })];
+    if (result.title) lines.push(t("result.title", { title: escapeHtml(result.title) }));
+    if (result.kind) lines.push(t("result.kind", { kind: t(`kind.${result.kind}`) }));
+    if (result.username) lines.push(t("result.username", { username: escapeHtml(result.username) }));
+    if (Number.isFinite(result.memberCount)) {
+      const count = result.memberCount.toLocaleString(t.locale);
+      lines.push(t(result.kind === "channel" ? "result.subscribers" : "result.members", { count }));
+    }
+    if (result.verified) lines.push(t("result.verified"));
+    if (result.status !== "valid" && result.reason) lines.push(t("result.reason", { reason: escapeHtml(result.reason) }));
+    return lines.join("\n");
+  }
+
+  async function replyInChunks(ctx, lines, extra) {
+    const chunks = chunkLines(lines, config.REPLY_CHUNK_MAX_LEN);
+    for (const chunk of chunks) {
+      await ctx.reply(chunk, extra);
+    }
+  }
+
+  function failureMessage(t, err, fallbackKey) {
+    if (err?.code === "CHECKER_UNAVAILABLE") return t("error.checker_unavailable", { seconds: Math.max(1, Math.ceil(err.retryInMs / 1000)) });
+    return t(fallbackKey);
+  }
+
+  function parseFreshFlag(input) {
+    const match = /^(!|fresh\b)\s*/i.exec(String(input || ""));
+    if (!match) return { fresh: false, rest: String(input || "") };
+    return { fresh: true, rest: input.slice(match[0].length) };
+  }
+
+  function parseDocumentCaption(caption) {
+    const { fresh, rest } = parseFreshFlag(String(caption || "").trim());
+    const match = /\b(?:column|col)\s*[=:]\s*(?:"([^"]+)"|(\S+))/i.exec(rest);
+    return { fresh, column: match ? match[1] || match[2] : undefined };
+  }
+
+  async function downloadDocument(ctx, document) {
+    const url = await ctx.telegram.getFileLink(document.file_id);
+    const { data } = await axios.get(String(url), {
+      responseType: "arraybuffer",
+      timeout: config.REQUEST_TIMEOUT_MS,
+      maxContentLength: config.MAX_DOCUMENT_BYTES,
+    });
+    return Buffer.from(data).toString("utf8");
+  }
+
+  function statusIcon(status) {
+    if (status === "valid") return "[V]";
+    if (status === "invalid") return "[X]";
+    return "[?]";
+  }
+
+  async function notifyWatchChange(change) {
+    const t = createTranslator(localeFor(change.userId));
+    const text = [
+      t("watch.alert"),
+      t("result.link", { link: change.link }),
+      `${statusLabel(t, change.previous)} -> ${statusLabel(t, change.current)}`,
+      t("watch.alert_at", { at: change.at }),
+    ].join("\n");
+    try {
+      await bot.telegram.sendMessage(change.userId, text);
+    } catch (err) {
+      log("error", "watch_notify_failed", { user_id: change.userId, message: err.message });
+    }
+  }
+
+  async function runWatchRound() {
+    if (watchRoundRunning) return;
+    watchRoundRunning = true;
+    const links = watchStore.allLinks();
+    let changed = 0;
+    try {
+      for (let i = 0; i < links.length; i += config.MAX_LINKS_PER_BULK) {
+        if (i > 0) await sleep(config.WATCH_BATCH_DELAY_MS);
+        const results = await client.checkBulk(links.slice(i, i + config.MAX_LINKS_PER_BULK), { fresh: true });
+        const changes = watchStore.applyResults(results);
+        changed += changes.length;
+        for (const change of changes) await notifyWatchChange(change);
+      }
+      await watchStore.persist();
+      log("info", "watch_round_done", { links: links.length, changed });
+    } catch (err) {
+      log("error", "watch_round_failed", { links: links.length, message: err.message });
+    } finally {
+      watchRoundRunning = false;
+    }
+  }
+
+  function startWatchScheduler() {
+    if (!(config.WATCH_INTERVAL_MS > 0)) return;
+    watchTimer = setInterval(() => {
+      runWatchRound();
+    }, config.WATCH_INTERVAL_MS);
+    watchTimer.unref?.();
+  }
+
+  async function guard(ctx) {
+    const t = translatorFor(ctx);
+    if (!isAllowedChat(ctx)) {
+      rejections.inc({ reason: "chat_not_allowed" });
+      await ctx.reply(t("access.chat_not_allowed"));
+      return false;
+    }
+    if (isBanned(ctx)) {
+      rejections.inc({ reason: "banned" });
+      await ctx.reply(t("access.banned"));
+      return false;
+    }
+    const text = String(ctx?.message?.text || "");
+    if (!isAuthenticated(ctx) && !isAuthExemptMessage(text)) {
+      rejections.inc({ reason: "auth_required" });
+      await ctx.reply(t("access.auth_required"), mainKeyboard(ctx));
+      return false;
+    }
+    const message = messageBuckets.take(Number(ctx?.from?.id), 1);
+    if (!message.ok) {
+      rejections.inc({ reason: "message_rate_limited" });
+      await ctx.reply(t("rate.messages", { wait: formatDuration(message.waitMs) }));
+      return false;
+    }
+    if (text.length > config.MAX_MESSAGE_CHARS) {
+      rejections.inc({ reason: "message_too_large" });
+      await ctx.reply(t("access.message_too_large", { max: config.MAX_MESSAGE_CHARS }));
+      return false;
+    }
+    return true;
+  }
+
+  // Inline queries and API requests carry no chat, so the allowlist is matched against the user's private chat id.
+  function userAccessDenial(userId) {
+    const id = Number(userId);
+    if (config.ALLOWED_CHAT_IDS.size > 0 && !config.ALLOWED_CHAT_IDS.has(id)) return "chat_not_allowed";
+    if (bannedUsers.has(id)) return "banned";
+    if (!isAuthenticated({ from: { id } })) return "auth_required";
+    return null;
+  }
+
+  async function inlineDenial(ctx, cost) {
+    const reason = userAccessDenial(ctx?.from?.id);
+    if (reason) {
+      rejections.inc({ reason });
+      return translatorFor(ctx)(`inline.${reason}`);
+    }
+    // Each query reaches the upstream, so it costs a message credit like a chat message does.
+    const message = messageBuckets.take(Number(ctx?.from?.id), 1);
+    if (!message.ok) {
+      rejections.inc({ reason: "message_rate_limited" });
+      return translatorFor(ctx)("rate.limited_short", { wait: formatDuration(message.waitMs) });
+    }
+    // Links are only charged once the user sends an answer (see chosen_inline_result).
+    const limited = cost > 0 ? await chargeLinks(ctx, cost, { dryRun: true }) : null;
+    if (!limited) return null;
+    rejections.inc({ reason: limited.reason });
+    return limited.short;
+  }
+
+  // Callback queries get the allowlist, ban and auth checks as an alert instead of a chat reply.
+  async function callbackGuard(ctx) {
+    let reason = null;
+    if (!isAllowedChat(ctx)) reason = "chat_not_allowed";
+    else if (isBanned(ctx)) reason = "banned";
+    else if (!isAuthenticated(ctx)) reason = "auth_required";
+    if (!reason) return true;
+    rejections.inc({ reason });
+    await ctx.answerCbQuery(translatorFor(ctx)(`inline.${reason}`), { show_alert: true });
+    return false;
+  }
+
+  function inlineArticle(id, title, description, messageText) {
+    return {
+      type: "article",
+      id,
+      title: title.slice(0, 256),
+      description: description ? description.slice(0, 512) : undefined,
+      input_message_content: { message_text: messageText.slice(0, 4096), parse_mode: "HTML" },
+    };
+  }
+
+  async function isGroupAdmin(ctx) {
+    // Anonymous admins post as the group itself.
+    if (ctx?.message?.sender_chat?.id === ctx?.chat?.id) return true;
+    try {
+      const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+      return member?.status === "creator" || member?.status === "administrator";
+    } catch (err) {
+      log("error", "get_chat_member_failed", { chat_id: ctx?.chat?.id, user_id: ctx?.from?.id, message: err.message });
+      return false;
+    }
+  }
+
+  /**
+   * Auto-scan for group messages. Runs without the per-user rate limiter and
+   * without per-member auth: admins opted the chat in via /groupmode.
+   */
+  async function scanGroupMessage(ctx, text) {
+    const setting = getGroupSetting(ctx.chat.id);
+    if (setting.mode === "off" || !isAllowedChat(ctx)) return;
+    const { checkable } = partitionLinks(extractUrls(text));
+    if (checkable.length === 0) return;
+
+    const links = checkable.slice(0, config.GROUP_SCAN_MAX_LINKS);
+    let results;
+    try {
+      results = await client.checkBulk(links);
+    } catch (err) {
+      log("error", "group_scan_failed", { chat_id: ctx.chat.id, message: err.message });
+      return;
+    }
+    const dead = results.filter((r) => r.status === "invalid");
+    if (dead.length === 0) return;
+
+    const allDead = dead.length === checkable.length;
+    log("info", "group_scan_dead_links", { chat_id: ctx.chat.id, links: links.length, dead: dead.length });
+    if (setting.deleteDead && allDead) {
+      try {
+        await ctx.deleteMessage();
+        if (setting.mode === "summary") {
+          const t = translatorFor(ctx);
+          const who = ctx.from?.username ? `@${ctx.from.username}` : ctx.from?.first_name || t("group.a_member");
+          await ctx.reply(t("group.removed", { who, count: dead.length }));
+        }
+        return;
+      } catch (err) {
+        log("error", "group_delete_failed", { chat_id: ctx.chat.id, message: err.message });
+      }
+    }
+
+    if (setting.mode === "silent") {
+      await ctx.react("👎").catch((err) => log("error", "group_react_failed", { chat_id: ctx.chat.id, message: err.message }));
+      return;
+    }
+    const lines = [translatorFor(ctx)("group.dead_links", { dead: dead.length, total: links.length }), ...dead.map((r) => `[X] ${r.link}`)];
+    await replyInChunks(ctx, lines, { reply_parameters: { message_id: ctx.message.message_id } });
+  }
+
+  function shouldReplyWithFile(pref, count) {
+    if (pref.outputMode === "file") return true;
+    if (pref.outputMode === "auto") return count > config.FILE_OUTPUT_THRESHOLD;
+    return false;
+  }
+
+  // Files leave out invalid links when the user hides them, matching the "(hidden)" summary above the file.
+  async function replyWithResultsFile(ctx, results, format, pref) {
+    const stamp = nowIso().replace(/[:.]/g, "-");
+    const rows = pref.showInvalidBulk ? results : results.filter((r) => r.status !== "invalid");
+    await ctx.replyWithDocument({
+      source: Buffer.from(serializeResults(rows, format), "utf8"),
+      filename: `telecheck-results-${stamp}.${format}`,
+    });
+  }
+
+  function progressText(t, job, done, tally, finished = false) {
+    return [
+      t(finished ? "progress.checked" : "progress.checking", { done, total: job.total, id: job.id }),
+      t("progress.tally", tally),
+    ].join("\n");
+  }
+
+  function createProgressReporter(ctx, job, message) {
+    const t = translatorFor(ctx);
+    const tally = { valid: 0, invalid: 0, unknown: 0 };
+    let done = 0;
+    let lastEditAt = Date.now();
+    let editing = Promise.resolve();
+
+    function edit(text) {
+      if (!message) return editing;
+      editing = editing
+        .then(() => ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, text))
+        .catch((err) => log("error", "progress_edit_failed", { job_id: job.id, message: err.message }));
+      return editing;
+    }
+
+    return {
+      onProgress(results) {
+        for (const r of results) tally[r.status] = (tally[r.status] || 0) + 1;
+        done += results.length;
+        const now = Date.now();
+        if (done < job.total && now - lastEditAt >= config.PROGRESS_EDIT_INTERVAL_MS) {
+          lastEditAt = now;
+          edit(progressText(t, job, done, tally));
+        }
+      },
+      finish(text) {
+        return edit(text || progressText(t, job, done, tally, true));
+      },
+      get done() {
+        return done;
+      },
+    };
+  }
+
+  async function recordUsage(userId, kind, results) {
+    try {
+      await usageStats.record(userId, kind, results);
+    } catch (err) {
+      log("error", "usage_record_failed", { user_id: userId, message: err.message });
+    }
+  }
+
+  // Saves a completed check to the user's history and counts it in the usage stats.
+  async function recordHistory(ctx, kind, results, extra = {}) {
+    await recordUsage(ctx?.from?.id, kind, results);
+    try {
+      return await history.record(ctx?.from?.id, { kind, results, ...extra });
+    } catch (err) {
+      log("error", "history_record_failed", { user_id: ctx?.from?.id, message: err.message });
+      return null;
+    }
+  }
+
+  function historyFooter(t, saved) {
+    return saved ? ["", t("history.saved_as", { id: saved.id })] : [];
+  }
+
+  /**
+   * Runs a bulk job with progress, records it in the user's history and replies
+   * with the results. `options.preface(results)` may resolve to lines shown
+   * above them; `options.onStart()` runs once the job slot and the links are
+   * paid for. Resolves to the results, or undefined when the job could not
+   * start, was cancelled or failed.
+   */
+  async function runBulkCheck(ctx, links, skipped, options = {}) {
+    const userId = Number(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    let job = null;
+    let progress = null;
+    // Take the job slot before charging, so a run refused for too many jobs costs nothing.
+    if (links.length > 0) {
+      job = jobs.start(userId, { total: links.length });
+      if (!job) {
+        await ctx.reply(t("jobs.too_many", { count: config.MAX_JOBS_PER_USER }));
+        return;
+      }
+    }
+
+    try {
+      if (job && !(await enforceLinkBudget(ctx, links.length))) return;
+      if (options.onStart) options.onStart();
+      if (job) {
+        const message = await ctx.reply(t("progress.started", { total: links.length, id: job.id }));
+        progress = createProgressReporter(ctx, job, message);
+      }
+      const checked = job ? await client.checkBulk(links, { ...options, signal: job.signal, onProgress: progress.onProgress }) : [];
+      if (progress) await progress.finish();
+      const results = [...checked, ...skipped];
+      const saved = await recordHistory(ctx, "bulk", results, { rerunOf: options.rerunOf });
+      const preface = options.preface ? await options.preface(results) : [];
+      const pref = getUserPref(ctx?.from?.id);
+      if (shouldReplyWithFile(pref, results.length)) {
+        await ctx.reply([...preface, ...buildBulkSummary(results, resultOptions(pref, t)), ...historyFooter(t, saved)].join("\n"));
+        await replyWithResultsFile(ctx, results, pref.outputFormat, pref);
+        return results;
+      }
+      const lines = buildBulkLines(results, resultOptions(pref, t));
+      await replyInChunks(ctx, [...preface, ...lines, ...historyFooter(t, saved)]);
+      return results;
+    } catch (err) {
+      if (err?.code === "JOB_CANCELLED") {
+        const text = t("jobs.cancelled_after", { id: job.id, done: progress.done, total: links.length });
+        await progress.finish(text);
+        await ctx.reply(text);
+        return;
+      }
+      log("error", "bulk_failed", { message: err.message });
+      await ctx.reply(failureMessage(t, err, "error.bulk_failed"));
+    } finally {
+      if (job) jobs.finish(job.id);
+    }
+  }
+
+  function updateCommand(ctx) {
+    const entity = ctx.message?.entities?.[0];
+    if (entity?.type === "bot_command" && entity.offset === 0) {
+      return ctx.message.text.slice(1, entity.length).split("@")[0].toLowerCase();
+    }
+    if (ctx.message?.text !== undefined) return "text";
+    if (ctx.message?.document) return "document";
+    return ctx.updateType;
+  }
+
+  bot.use((ctx, next) => {
+    messagesHandled.inc({ command: updateCommand(ctx) });
+    if (ctx.from?.language_code) userLanguageCodes.set(Number(ctx.from.id), ctx.from.language_code);
+    return next();
+  });
+
+  bot.start(async (ctx) => {
+    if (!(await guard(ctx))) return;
+    return ctx.replyWithHTML(translatorFor(ctx)("start.text"), mainKeyboard(ctx));
+  });
+
+  bot.help(async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const t = translatorFor(ctx);
+    return ctx.reply(t("help.text", { maxBulk: config.MAX_LINKS_PER_BULK, maxFile: config.MAX_LINKS_PER_FILE, maxJobs: config.MAX_JOBS_PER_USER }), mainKeyboard(ctx));
+  });
+
+  bot.command("auth", async (ctx) => {
+    const t = translatorFor(ctx);
+    if (!isAllowedChat(ctx)) {
+      rejections.inc({ reason: "chat_not_allowed" });
+      await ctx.reply(t("access.chat_not_allowed"));
+      return;
+    }
+    if (!hasPasswordAuth()) {
+      await ctx.reply(t("auth.not_enabled"), mainKeyboard(ctx));
+      return;
+    }
+    if (isBanned(ctx)) {
+      rejections.inc({ reason: "banned" });
+      await ctx.reply(t("access.banned"));
+      return;
+    }
+
+    const userId = Number(ctx?.from?.id);
+    const lock = authLockout.check(userId);
+    if (lock.locked) {
+      rejections.inc({ reason: "auth_locked" });
+      await ctx.reply(t("auth.locked", { seconds: Math.ceil(lock.retryInMs / 1000) }));
+      return;
+    }
+
+    const text = String(ctx?.message?.text || "");
+    const supplied = text.replace(/^\/auth(@\w+)?\s*/i, "").trim();
+    if (!supplied) {
+      const example = t(config.AUTH_INVITE_ONLY && !config.AUTH_PASSWORD && !config.AUTH_PASSWORD_HASH ? "auth.example_invite" : "auth.example_password");
+      await ctx.reply(t("auth.provide", { example }), mainKeyboard(ctx));
+      return;
+    }
+
+    let via = null;
+    try {
+      if (verifyPassword(supplied, { hash: config.AUTH_PASSWORD_HASH, plain: config.AUTH_PASSWORD })) via = "password";
+      else if (await redeemInvite(supplied)) via = "invite";
+    } catch (err) {
+      log("error", "auth_check_failed", { user_id: userId, message: err.message });
+      await ctx.reply(t("auth.unavailable"));
+      return;
+    }
+    if (!via) {
+      const failure = authLockout.fail(userId);
+      rejections.inc({ reason: "invalid_password" });
+      log("info", "auth_failed", { user_id: userId, failures: failure.failures, locked_ms: failure.lockedForMs });
+      const reply = failure.lockedForMs > 0 ? t("auth.invalid_locked", { seconds: Math.ceil(failure.lockedForMs / 1000) }) : t("auth.invalid");
+      await ctx.reply(reply, mainKeyboard(ctx));
+      return;
+    }
+    authLockout.reset(userId);
+
+    try {
+      const added = await authenticateUser(ctx, via);
+      if (added) {
+        log("info", "user_authenticated", { user_id: userId, via, total: authenticatedUsers.size });
+        await ctx.reply(t("auth.success"), mainKeyboard(ctx));
+        return;
+      }
+      await ctx.reply(t("auth.already"), mainKeyboard(ctx));
+    } catch (err) {
+      log("error", "auth_store_persist_failed", { message: err.message });
+      await ctx.reply(t("auth.persist_failed"), mainKeyboard(ctx));
+    }
+  });
+
+  function describeUser(id, record = {}) {
+    const name = [record.username ? `@${record.username}` : null, record.firstName].filter(Boolean).join(" ");
+    return `${id}${name ? ` ${name}` : ""}`;
+  }
+
+  // Accepts a numeric id or the @username of a user the bot has seen authenticate.
+  function parseUserArg(text, command) {
+    const arg = String(text || "")
+      .replace(new RegExp(`^/${command}(@\\w+)?\\s*`, "i"), "")
+      .trim();
+    return resolveUserRef(arg);
+  }
+
+  function resolveUserRef(arg) {
+    if (/^-?\d+$/.test(arg)) return Number(arg);
+    const username = arg.replace(/^@/, "").toLowerCase();
+    if (!username) return null;
+    for (const [id, record] of authenticatedUsers.entries()) {
+      if (String(record.username || "").toLowerCase() === username) return id;
+    }
+    return null;
+  }
+
+  async function requireUserManager(ctx) {
+    if (!(await guard(ctx))) return false;
+    if (config.ADMIN_USER_IDS.size === 0) {
+      await ctx.reply(translatorFor(ctx)("users.not_configured"));
+      return false;
+    }
+    if (!isUserManager(ctx)) {
+      rejections.inc({ reason: "not_admin" });
+      await ctx.reply(translatorFor(ctx)("users.admins_only"));
+      return false;
+    }
+    return true;
+  }
+
+  bot.command("users", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const lines = [t("users.authenticated", { count: authenticatedUsers.size })];
+    for (const [id, record] of [...authenticatedUsers.entries()].sort((a, b) => a[0] - b[0])) {
+      const since = record.authenticatedAt ? ` ${t("users.since", { at: record.authenticatedAt.slice(0, 16).replace("T", " ") })}` : "";
+      lines.push(`${describeUser(id, record)}${since}${record.via ? ` (${record.via})` : ""}`);
+    }
+    if (bannedUsers.size > 0) {
+      lines.push("", t("users.banned_list", { count: bannedUsers.size }));
+      for (const [id, record] of bannedUsers.entries()) {
+        lines.push(`${describeUser(id, record)} ${t("users.banned_on", { date: String(record.bannedAt || "").slice(0, 10) })}`);
+      }
+    }
+    await replyInChunks(ctx, lines);
+  });
+
+  bot.command("revoke", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const userId = parseUserArg(ctx.message.text, "revoke");
+    if (userId === null) {
+      await ctx.reply(t("users.provide", { command: "revoke" }));
+      return;
+    }
+    try {
+      const revoked = await revokeUser(userId);
+      if (revoked) log("info", "user_revoked", { user_id: userId, by: ctx.from.id });
+      await ctx.reply(t(revoked ? "users.revoked" : "users.not_authenticated", { id: userId }));
+    } catch (err) {
+      log("error", "auth_store_persist_failed", { message: err.message });
+      await ctx.reply(t("users.store_failed"));
+    }
+  });
+
+  bot.command("ban", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const userId = parseUserArg(ctx.message.text, "ban");
+    if (userId === null) {
+      await ctx.reply(t("users.provide", { command: "ban" }));
+      return;
+    }
+    if (config.ADMIN_USER_IDS.has(userId)) {
+      await ctx.reply(t("users.admin_unbannable"));
+      return;
+    }
+    try {
+      const known = authenticatedUsers.get(userId) || {};
+      const record = { bannedAt: nowIso(), bannedBy: Number(ctx.from.id), username: known.username || null, firstName: known.firstName || null };
+      bannedUsers.set(userId, record);
+      await store.set("bans", String(userId), record);
+      await revokeUser(userId);
+      log("info", "user_banned", { user_id: userId, by: ctx.from.id });
+      await ctx.reply(t("users.banned", { id: userId }));
+    } catch (err) {
+      log("error", "auth_store_persist_failed", { message: err.message });
+      await ctx.reply(t("users.store_failed"));
+    }
+  });
+
+  bot.command("unban", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const arg = String(ctx.message.text || "").replace(/^\/unban(@\w+)?\s*/i, "").trim();
+    const userId = /^-?\d+$/.test(arg) ? Number(arg) : null;
+    if (userId === null) {
+      await ctx.reply(t("users.unban_provide"));
+      return;
+    }
+    try {
+      const removed = bannedUsers.delete(userId);
+      if (removed) await store.delete("bans", String(userId));
+      if (removed) log("info", "user_unbanned", { user_id: userId, by: ctx.from.id });
+      await ctx.reply(t(removed ? "users.unbanned" : "users.not_banned", { id: userId }));
+    } catch (err) {
+      log("error", "auth_store_persist_failed", { message: err.message });
+      await ctx.reply(t("users.store_failed"));
+    }
+  });
+
+  bot.command("logoutall", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const ids = [...authenticatedUsers.keys()];
+    try {
+      for (const id of ids) await revokeUser(id);
+      log("info", "users_logged_out", { count: ids.length, by: ctx.from.id });
+      await ctx.reply(t("users.logged_out", { count: ids.length }));
+    } catch (err) {
+      log("error", "auth_store_persist_failed", { message: err.message });
+      await ctx.reply(t("users.store_failed"));
+    }
+  });
+
+  function quotaLine(t, label, row) {
+    if (row.limit === 0) return t("quota.line_unlimited", { label, used: row.used });
+    return t("quota.line", { label, remaining: row.remaining, limit: row.limit, wait: formatDuration(row.resetAt - Date.now()) });
+  }
+
+  bot.command("quota", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const t = translatorFor(ctx);
+    const userId = Number(ctx?.from?.id);
+    const state = quotas.status(userId, tierFor(userId));
+    const tokens = linkBuckets.peek(userId);
+    const refill = tokens < linkBuckets.capacity ? t("quota.refills", { rate: config.RATE_LIMIT_REFILL_PER_MIN }) : "";
+    await ctx.reply(
+      [
+        t("quota.tier", { tier: state.tier }),
+        quotaLine(t, t("quota.today"), state.daily),
+        quotaLine(t, t("quota.this_month"), state.monthly),
+        t("quota.burst", { tokens, capacity: linkBuckets.capacity, refill }),
+        t("quota.note"),
+      ].join("\n")
+    );
+  });
+
+  bot.command("tier", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const [ref, tierArg] = String(ctx.message.text || "")
+      .replace(/^\/tier(@\w+)?\s*/i, "")
+      .trim()
+      .split(/\s+/);
+    const userId = ref ? resolveUserRef(ref) : null;
+    if (userId === null) {
+      await ctx.reply(t("tier.usage", { tiers: Object.keys(config.QUOTA_TIERS).join("|") }));
+      return;
+    }
+    const tier = String(tierArg || "").toLowerCase();
+    if (!tier) {
+      await ctx.reply(t("tier.current", { id: userId, tier: tierFor(userId) }));
+      return;
+    }
+    if (tier !== "reset" && !config.QUOTA_TIERS[tier]) {
+      await ctx.reply(t("tier.unknown", { tiers: Object.keys(config.QUOTA_TIERS).join(", ") }));
+      return;
+    }
+    try {
+      if (tier === "reset") {
+        userTiers.delete(userId);
+        await store.delete("tiers", String(userId));
+      } else {
+        userTiers.set(userId, tier);
+        await store.set("tiers", String(userId), { tier, setBy: Number(ctx.from.id), setAt: nowIso() });
+      }
+      log("info", "user_tier_set", { user_id: userId, tier: tierFor(userId), by: ctx.from.id });
+      await ctx.reply(t("tier.updated", { id: userId, tier: tierFor(userId) }));
+    } catch (err) {
+      log("error", "tier_store_persist_failed", { message: err.message });
+      await ctx.reply(t("tier.failed"));
+    }
+  });
+
+  bot.command("invite", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    if (!hasPasswordAuth()) {
+      await ctx.reply(t("invite.auth_disabled"));
+      return;
+    }
+    const arg = String(ctx.message.text || "").replace(/^\/invite(@\w+)?\s*/i, "").trim();
+    const hours = arg ? Number(arg) : config.AUTH_INVITE_TTL_MS / (60 * 60 * 1000);
+    if (!(hours > 0)) {
+      await ctx.reply(t("invite.usage"));
+      return;
+    }
+    try {
+      await pruneInvites();
+      const invite = await createInvite(ctx, hours * 60 * 60 * 1000);
+      log("info", "invite_created", { by: ctx.from.id, expires_at: invite.expiresAt });
+      await ctx.reply(t("invite.created", { expiresAt: invite.expiresAt, code: invite.code }));
+    } catch (err) {
+      log("error", "auth_store_persist_failed", { message: err.message });
+      await ctx.reply(t("invite.failed"));
+    }
+  });
+
+  function apiKeyLine(t, record) {
+    return t("apikey.line", {
+      id: record.id,
+      label: record.label ? ` "${record.label}"` : "",
+      user: describeUser(record.userId, authenticatedUsers.get(record.userId)),
+      created: record.createdAt.slice(0, 10),
+      used: record.lastUsedAt ? t("apikey.last_used", { at: record.lastUsedAt.slice(0, 16).replace("T", " ") }) : t("apikey.never_used"),
+    });
+  }
+
+  bot.command("apikey", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const [action = "list", ...args] = String(ctx.message.text || "")
+      .replace(/^\/apikey(@\w+)?\s*/i, "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    try {
+      if (action.toLowerCase() === "list") {
+        const keys = apiKeys.list();
+        const lines = [t("apikey.list", { count: keys.length }), ...keys.map((record) => apiKeyLine(t, record))];
+        if (!config.API_ENABLED) lines.push("", t("apikey.api_disabled"));
+        await replyInChunks(ctx, lines);
+        return;
+      }
+      if (action.toLowerCase() === "new") {
+        const userId = args[0] ? resolveUserRef(args[0]) : null;
+        if (userId === null) {
+          await ctx.reply(t("apikey.usage"));
+          return;
+        }
+        const { key, record } = await apiKeys.issue({ userId, label: args.slice(1).join(" "), createdBy: ctx.from.id });
+        log("info", "api_key_issued", { key_id: record.id, user_id: userId, by: ctx.from.id });
+        const user = describeUser(userId, authenticatedUsers.get(userId));
+        await ctx.reply([t("apikey.created", { id: record.id, user, key }), ...(config.API_ENABLED ? [] : ["", t("apikey.api_disabled")])].join("\n"));
+        return;
+      }
+      if (action.toLowerCase() === "revoke" && args[0]) {
+        const id = args[0].toLowerCase();
+        const revoked = await apiKeys.revoke(id);
+        if (revoked) log("info", "api_key_revoked", { key_id: id, by: ctx.from.id });
+        await ctx.reply(t(revoked ? "apikey.revoked" : "apikey.not_found", { id }));
+        return;
+      }
+      await ctx.reply(t("apikey.usage"));
+    } catch (err) {
+      log("error", "api_key_store_failed", { message: err.message });
+      await ctx.reply(t("apikey.failed"));
+    }
+  });
+
+  function healthUpstreamLines() {
+    const lines = [];
+    const upstream = client.upstreamStatus();
+    for (const b of upstream.breakers) {
+      const retry = b.retryInMs > 0 ? ` retry_in=${Math.ceil(b.retryInMs / 1000)}s` : "";
+      lines.push(`breaker[${b.name}]: ${b.state} failures=${b.failures} opened=${b.openedCount}${retry}`);
+    }
+    for (const [label, l] of Object.entries(upstream.latency)) {
+      lines.push(`latency[${label}]: n=${l.count} p50=${l.p50}ms p95=${l.p95}ms p99=${l.p99}ms errors=${(l.errorRate * 100).toFixed(1)}%`);
+    }
+    return lines;
+  }
+
+  bot.command("health", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    if (!isAdmin(ctx)) {
+      await ctx.reply(translatorFor(ctx)("access.not_authorized"));
+      return;
+    }
+    const uptimeSec = Math.floor((Date.now() - startedAt) / 1000);
+    const cacheStats = client.cache.stats();
+    await ctx.reply(
+      [
+        "ok",
+        `uptime_sec: ${uptimeSec}`,
+        `mode: ${config.WEBHOOK_DOMAIN ? "webhook" : "polling"}`,
+        `api_base: ${config.API_BASE_URL}`,
+        `checkers: ${client.backends.join(" -> ")}`,
+        `rate_limit: burst=${config.RATE_LIMIT_BURST} refill=${config.RATE_LIMIT_REFILL_PER_MIN}/min, messages=${config.MESSAGE_RATE_LIMIT_BURST} refill=${config.MESSAGE_RATE_LIMIT_REFILL_PER_MIN}/min`,
+        `cache: size=${cacheStats.size} hits=${cacheStats.hits} misses=${cacheStats.misses}`,
+        `active_jobs: ${jobs.activeCount()}`,
+        ...healthUpstreamLines(),
+      ].join("\n")
+    );
+  });
+
+  bot.command("invalid", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const text = String(ctx?.message?.text || "");
+    const input = text.replace(/^\/invalid(@\w+)?\s*/i, "").trim().toLowerCase();
+    const t = translatorFor(ctx);
+
+    if (!input) {
+      const showInvalid = shouldShowInvalidBulkForCtx(ctx);
+      await ctx.reply(t("invalid.status", { state: t(showInvalid ? "common.on" : "common.off") }), mainKeyboard(ctx));
+      return;
+    }
+
+    let nextValue;
+    if (["on", "show", "true", "yes", "1"].includes(input)) nextValue = true;
+    else if (["off", "hide", "false", "no", "0"].includes(input)) nextValue = false;
+    else {
+      await ctx.reply(t("invalid.bad_value"), mainKeyboard(ctx));
+      return;
+    }
+
+    try {
+      await setShowInvalidBulk(ctx?.from?.id, nextValue);
+      await ctx.reply(t("invalid.updated", { state: t(nextValue ? "common.on" : "common.off") }), mainKeyboard(ctx));
+    } catch (err) {
+      log("error", "user_prefs_store_persist_failed", { message: err.message });
+      await ctx.reply(t("error.save_setting"), mainKeyboard(ctx));
+    }
+  });
+
+  bot.command("output", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const text = String(ctx?.message?.text || "");
+    const args = text.replace(/^\/output(@\w+)?\s*/i, "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const t = translatorFor(ctx);
+
+    if (args.length === 0) {
+      const pref = getUserPref(ctx?.from?.id);
+      await ctx.reply(
+        t("output.status", { mode: pref.outputMode.toUpperCase(), format: pref.outputFormat.toUpperCase(), threshold: config.FILE_OUTPUT_THRESHOLD }),
+        mainKeyboard(ctx)
+      );
+      return;
+    }
+
+    const patch = {};
+    for (const arg of args) {
+      if (OUTPUT_MODES.includes(arg)) patch.outputMode = arg;
+      else if (EXPORT_FORMATS.includes(arg)) patch.outputFormat = arg;
+      else {
+        await ctx.reply(t("output.bad_value"), mainKeyboard(ctx));
+        return;
+      }
+    }
+
+    try {
+      await updateUserPref(ctx?.from?.id, patch);
+      const pref = getUserPref(ctx?.from?.id);
+      await ctx.reply(t("output.updated", { mode: pref.outputMode.toUpperCase(), format: pref.outputFormat.toUpperCase() }), mainKeyboard(ctx));
+    } catch (err) {
+      log("error", "user_prefs_store_persist_failed", { message: err.message });
+      await ctx.reply(t("error.save_setting"), mainKeyboard(ctx));
+    }
+  });
+
+  /*
+   * /settings panel. Button data is `settings:<owner id>:<field>[:<value>]` so a
+   * panel posted in a group only answers the user who opened it.
+   */
+  function settingsText(t, pref) {
+    return [
+      t("settings.title"),
+      "",
+      t("settings.invalid", { state: t(pref.showInvalidBulk ? "common.on" : "common.off") }),
+      t("settings.sort", { value: t(`settings.sort_${pref.sortOrder}`) }),
+      t("settings.detail", { value: t(`settings.detail_${pref.detail}`) }),
+      t("settings.format", { value: pref.outputFormat.toUpperCase() }),
+      t("settings.group", { state: t(pref.groupByKind ? "common.on" : "common.off") }),
+      "",
+      t("settings.hint"),
+    ].join("\n");
+  }
+
+  function settingsKeyboard(t, pref, userId) {
+    const data = (field, value) => `settings:${userId}:${field}${value ? `:${value}` : ""}`;
+    const option = (label, selected, field, value) => Markup.button.callback(selected ? `• ${label}` : label, data(field, value));
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(t("settings.invalid_button", { state: t(pref.showInvalidBulk ? "common.on" : "common.off") }), data("invalid"))],
+      SORT_ORDERS.map((sort) => option(t(`settings.sort_${sort}`), pref.sortOrder === sort, "sort", sort)),
+      DETAIL_LEVELS.map((detail) => option(t(`settings.detail_${detail}`), pref.detail === detail, "detail", detail)),
+      EXPORT_FORMATS.map((format) => option(format.toUpperCase(), pref.outputFormat === format, "format", format)),
+      [Markup.button.callback(t("settings.group_button", { state: t(pref.groupByKind ? "common.on" : "common.off") }), data("group"))],
+      [Markup.button.callback(t("settings.close"), data("close"))],
+    ]);
+  }
+
+  function settingsPatch(pref, field, value) {
+    if (field === "invalid") return { showInvalidBulk: !pref.showInvalidBulk };
+    if (field === "sort" && SORT_ORDERS.includes(value)) return { sortOrder: value };
+    if (field === "detail" && DETAIL_LEVELS.includes(value)) return { detail: value };
+    if (field === "format" && EXPORT_FORMATS.includes(value)) return { outputFormat: value };
+    if (field === "group") return { groupByKind: !pref.groupByKind };
+    return null;
+  }
+
+  async function sendSettingsPanel(ctx) {
+    const t = translatorFor(ctx);
+    const pref = getUserPref(ctx?.from?.id);
+    await ctx.replyWithHTML(settingsText(t, pref), settingsKeyboard(t, pref, Number(ctx?.from?.id)));
+  }
+
+  bot.command("settings", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    await sendSettingsPanel(ctx);
+  });
+
+  bot.action(/^settings:(-?\d+):(\w+)(?::(\w+))?$/, async (ctx) => {
+    if (!(await callbackGuard(ctx))) return;
+    const t = translatorFor(ctx);
+    const userId = Number(ctx.from.id);
+    const [, owner, field, value] = ctx.match;
+    if (Number(owner) !== userId) {
+      await ctx.answerCbQuery(t("settings.not_yours"), { show_alert: true });
+      return;
+    }
+    if (field === "close") {
+      await ctx.answerCbQuery();
+      await ctx.editMessageReplyMarkup(undefined).catch((err) => log("error", "settings_edit_failed", { user_id: userId, message: err.message }));
+      return;
+    }
+    const patch = settingsPatch(getUserPref(userId), field, value);
+    if (!patch) {
+      await ctx.answerCbQuery();
+      return;
+    }
+    try {
+      await updateUserPref(userId, patch);
+    } catch (err) {
+      log("error", "user_prefs_store_persist_failed", { message: err.message });
+      await ctx.answerCbQuery(t("error.save_setting"), { show_alert: true });
+      return;
+    }
+    await ctx.answerCbQuery(t("settings.saved"));
+    const pref = getUserPref(userId);
+    await ctx.editMessageText(settingsText(t, pref), { parse_mode: "HTML", ...settingsKeyboard(t, pref, userId) }).catch((err) => {
+      // Tapping the option that is already selected leaves the text unchanged, which Telegram rejects.
+      if (!/message is not modified/i.test(err.message)) log("error", "settings_edit_failed", { user_id: userId, message: err.message });
+    });
+  });
+
+  function languageList() {
+    return LOCALES.map((code) => `${code} (${CATALOGS[code]["lang.name"]})`).join(", ");
+  }
+
+  bot.command("lang", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const userId = Number(ctx?.from?.id);
+    const input = String(ctx?.message?.text || "")
+      .replace(/^\/lang(@\w+)?\s*/i, "")
+      .trim()
+      .toLowerCase();
+
+    if (!input) {
+      const t = translatorFor(ctx);
+      const source = getUserPref(userId).language ? "" : t("lang.source_auto");
+      await ctx.reply(t("lang.status", { name: t("lang.name"), source, available: languageList() }), mainKeyboard(ctx));
+      return;
+    }
+
+    const language = input === "auto" ? null : resolveLocale(input);
+    if (input !== "auto" && !language) {
+      await ctx.reply(translatorFor(ctx)("lang.unknown", { available: languageList() }));
+      return;
+    }
+    try {
+      await updateUserPref(userId, { language });
+      // Reply in the new language, with a keyboard relabelled to match.
+      const t = translatorFor(ctx);
+      await ctx.reply(t(language ? "lang.updated" : "lang.updated_auto", { name: t("lang.name") }), mainKeyboard(ctx));
+    } catch (err) {
+      log("error", "user_prefs_store_persist_failed", { message: err.message });
+      await ctx.reply(translatorFor(ctx)("error.save_setting"), mainKeyboard(ctx));
+    }
+  });
+
+  bot.command("cancel", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const text = String(ctx?.message?.text || "");
+    const input = text.replace(/^\/cancel(@\w+)?\s*/i, "").trim().replace(/^#/, "");
+    const t = translatorFor(ctx);
+    if (input && !/^\d+$/.test(input)) {
+      await ctx.reply(t("cancel.usage"));
+      return;
+    }
+    const cancelled = jobs.cancel(ctx?.from?.id, input ? Number(input) : undefined);
+    if (cancelled.length === 0) {
+      await ctx.reply(input ? t("cancel.no_job", { id: input }) : t("cancel.no_jobs"));
+      return;
+    }
+    log("info", "jobs_cancelled", { user_id: ctx?.from?.id, job_ids: cancelled.map((job) => job.id) });
+    await ctx.reply(t("cancel.cancelling", { ids: cancelled.map((job) => `#${job.id}`).join(", ") }));
+  });
+
+  bot.command("watch", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const text = String(ctx?.message?.text || "");
+    const { checkable: links, skipped } = partitionLinks(extractUrls(text.replace(/^\/watch(@\w+)?\s*/i, "")));
+    const t = translatorFor(ctx);
+    if (links.length === 0) {
+      const hint = skipped.length > 0 ? t("watch.not_checkable", { link: skipped[0].link, reason: skipped[0].reason }) : t("watch.provide");
+      await ctx.reply(hint);
+      return;
+    }
+
+    const userId = Number(ctx?.from?.id);
+    const { added, existing, overLimit } = watchStore.add(userId, links);
+    const lines = [];
+    if (added.length > 0) {
+      try {
+        // The results also update other users watching the same links, so their changes are alerted like a round's.
+        const changes = watchStore.applyResults(await client.checkBulk(added));
+        for (const change of changes) await notifyWatchChange(change);
+      } catch (err) {
+        log("error", "watch_baseline_failed", { message: err.message });
+      }
+      const byLink = new Map(watchStore.list(userId).map((entry) => [entry.link, entry]));
+      lines.push(t("watch.added", { count: added.length }));
+      for (const link of added) lines.push(`${statusIcon(byLink.get(link)?.status)} ${link}`);
+    }
+    if (existing.length > 0) lines.push(t("watch.already", { links: existing.join(", ") }));
+    if (overLimit.length > 0) lines.push(t("watch.limit", { max: config.WATCH_MAX_PER_USER, links: overLimit.join(", ") }));
+
+    try {
+      await watchStore.persist();
+    } catch (err) {
+      log("error", "watch_store_persist_failed", { message: err.message });
+      lines.push(t("watch.save_warning"));
+    }
+    await ctx.reply(lines.join("\n"));
+  });
+
+  bot.command("unwatch", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const text = String(ctx?.message?.text || "");
+    const { checkable: links } = partitionLinks(extractUrls(text.replace(/^\/unwatch(@\w+)?\s*/i, "")));
+    const t = translatorFor(ctx);
+    if (links.length === 0) {
+      await ctx.reply(t("unwatch.provide"));
+      return;
+    }
+    const removed = watchStore.remove(ctx?.from?.id, links);
+    if (removed.length === 0) {
+      await ctx.reply(t("unwatch.none"));
+      return;
+    }
+    try {
+      await watchStore.persist();
+      await ctx.reply(t("unwatch.done", { count: removed.length }));
+    } catch (err) {
+      log("error", "watch_store_persist_failed", { message: err.message });
+      await ctx.reply(t("unwatch.save_failed"));
+    }
+  });
+
+  bot.command("watchlist", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const entries = watchStore.list(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    if (entries.length === 0) {
+      await ctx.reply(t("watchlist.empty"));
+      return;
+    }
+    const interval = config.WATCH_INTERVAL_MS > 0 ? t("watchlist.every", { minutes: Math.max(1, Math.round(config.WATCH_INTERVAL_MS / 60000)) }) : t("watchlist.disabled");
+    const lines = [t("watchlist.header", { count: entries.length, max: config.WATCH_MAX_PER_USER, interval }), ""];
+    for (const entry of entries) {
+      lines.push(`${statusIcon(entry.status)} ${entry.link}${entry.since ? ` (${t("watchlist.since", { at: entry.since })})` : ""}`);
+    }
+    await replyInChunks(ctx, lines);
+  });
+
+  function historyListLines(t, entries) {
+    return entries.map((job) => {
+      const s = job.summary || {};
+      const counts = `V ${s.valid || 0} | X ${s.invalid || 0} | ? ${s.unknown || 0}${s.skipped ? ` | ${t("history.skipped", { count: s.skipped })}` : ""}`;
+      const what = job.kind === "single" ? job.results[0]?.link : t("history.links", { count: job.total });
+      const rerun = job.rerunOf ? ` (${t("history.recheck_of", { id: job.rerunOf })})` : "";
+      return `#${job.id} ${job.at.slice(0, 16).replace("T", " ")} ${what}${rerun} - ${counts}`;
+    });
+  }
+
+  bot.command("history", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const userId = Number(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    const args = String(ctx.message.text || "")
+      .replace(/^\/history(@\w+)?\s*/i, "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    try {
+      if (args[0]?.toLowerCase() === "clear") {
+        const cleared = await history.clear(userId);
+        await ctx.reply(t("history.cleared", { count: cleared }));
+        return;
+      }
+      if (args.length === 0) {
+        const entries = await history.list(userId);
+        if (entries.length === 0) {
+          await ctx.reply(t("history.empty"));
+          return;
+        }
+        await replyInChunks(ctx, [t("history.header", { count: entries.length }), ...historyListLines(t, entries), "", t("history.hint")]);
+        return;
+      }
+
+      const format = args[1]?.toLowerCase();
+      if (format && !EXPORT_FORMATS.includes(format)) {
+        await ctx.reply(t("history.unknown_format", { formats: EXPORT_FORMATS.join("|") }));
+        return;
+      }
+      const job = await history.get(userId, args[0].replace(/^#/, ""));
+      if (!job) {
+        await ctx.reply(t("history.not_found", { id: args[0] }));
+        return;
+      }
+      const pref = getUserPref(userId);
+      const header = t("history.job_header", { id: job.id, at: job.at });
+      if (format || shouldReplyWithFile(pref, job.results.length)) {
+        await ctx.reply([header, ...buildBulkSummary(job.results, resultOptions(pref, t))].join("\n"));
+        await replyWithResultsFile(ctx, job.results, format || pref.outputFormat, pref);
+        return;
+      }
+      await replyInChunks(ctx, [header, ...buildBulkLines(job.results, resultOptions(pref, t))]);
+    } catch (err) {
+      log("error", "history_failed", { user_id: userId, message: err.message });
+      await ctx.reply(t("history.unavailable"));
+    }
+  });
+
+  bot.command("recheck", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const userId = Number(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    const id = String(ctx.message.text || "")
+      .replace(/^\/recheck(@\w+)?\s*/i, "")
+      .trim()
+      .replace(/^#/, "");
+    if (!id) {
+      await ctx.reply(t("recheck.provide"));
+      return;
+    }
+    let job;
+    try {
+      job = await history.get(userId, id);
+    } catch (err) {
+      log("error", "history_failed", { user_id: userId, message: err.message });
+      await ctx.reply(t("history.unavailable"));
+      return;
+    }
+    if (!job) {
+      await ctx.reply(t("history.not_found", { id }));
+      return;
+    }
+    const links = job.results.filter((r) => r.status !== "skipped").map((r) => r.link);
+    const skipped = job.results.filter((r) => r.status === "skipped").map((r) => ({ link: r.link, status: "skipped", reason: r.reason }));
+    if (links.length === 0) {
+      await ctx.reply(t("recheck.no_links", { id: job.id }));
+      return;
+    }
+
+    const results = await runBulkCheck(ctx, links, skipped, { fresh: true, rerunOf: job.id });
+    if (!results) return;
+    const changes = diffResults(job.results, results);
+    if (changes.length === 0) {
+      await ctx.reply(t("recheck.no_changes", { id: job.id, at: job.at }));
+      return;
+    }
+    await replyInChunks(ctx, [
+      t("recheck.changed", { count: changes.length, id: job.id, at: job.at }),
+      ...changes.map((c) => `${statusIcon(c.current)} ${c.link}: ${statusLabel(t, c.previous)} -> ${statusLabel(t, c.current)}`),
+    ]);
+  });
+
+  function takePendingListSave(userId, chatId, now = Date.now()) {
+    const key = `${Number(userId)}:${Number(chatId)}`;
+    const pending = pendingListSaves.get(key);
+    if (!pending) return null;
+    pendingListSaves.delete(key);
+    return pending.expiresAt > now ? pending.name : null;
+  }
+
+  function hasPendingListSave(userId, chatId, now = Date.now()) {
+    const pending = pendingListSaves.get(`${Number(userId)}:${Number(chatId)}`);
+    return Boolean(pending && pending.expiresAt > now);
+  }
+
+  /** Raw links from a message's text or caption, or from its .txt, .csv or .json attachment. */
+  async function listInput(ctx, message) {
+    const t = translatorFor(ctx);
+    const document = message?.document;
+    if (!document) return { rawLinks: extractUrls(message?.text || message?.caption || "") };
+    const format = documentFormat(document.file_name, document.mime_type);
+    if (!format) return { error: t("document.unsupported") };
+    if (Number(document.file_size) > config.MAX_DOCUMENT_BYTES) return { error: t("document.too_large", { max: config.MAX_DOCUMENT_BYTES }) };
+    try {
+      const content = await downloadDocument(ctx, document);
+      return { rawLinks: extractLinksFromDocument(content, format, parseDocumentCaption(message.caption)) };
+    } catch (err) {
+      log("error", "document_read_failed", { format, message: err.message });
+      return { error: t("document.read_failed", { message: err.message }) };
+    }
+  }
+
+  async function saveList(ctx, name, input) {
+    const t = translatorFor(ctx);
+    if (input.error) {
+      await ctx.reply(input.error);
+      return;
+    }
+    const { checkable, skipped } = partitionLinks(input.rawLinks);
+    if (checkable.length === 0) {
+      await ctx.reply(t("list.no_links"));
+      return;
+    }
+    let outcome;
+    try {
+      outcome = await lists.save(ctx.from.id, name, checkable);
+    } catch (err) {
+      log("error", "list_store_failed", { user_id: ctx.from.id, message: err.message });
+      await ctx.reply(t("list.unavailable"));
+      return;
+    }
+    if (!outcome) {
+      await ctx.reply(t("list.too_many", { max: lists.maxLists }));
+      return;
+    }
+    const lines = [t(outcome.created ? "list.created" : "list.replaced", { name, count: outcome.list.links.length })];
+    if (skipped.length > 0) lines.push(t("list.ignored", { count: skipped.length }));
+    if (outcome.overLimit > 0) lines.push(t("list.over_limit", { count: outcome.overLimit, max: lists.maxLinks }));
+    await ctx.reply(lines.join("\n"));
+  }
+
+  function listTime(iso) {
+    return iso.slice(0, 16).replace("T", " ");
+  }
+
+  // Records the run and describes newly dead and revived links since the list's previous run.
+  async function listRunPreface(t, userId, name, results) {
+    let previous = null;
+    try {
+      previous = await lists.recordRun(userId, name, results);
+    } catch (err) {
+      log("error", "list_store_failed", { user_id: userId, message: err.message });
+    }
+    if (!previous) return [t("list.first_run", { name }), ""];
+    const { dead, revived } = listRunChanges(previous.results, results);
+    if (dead.length === 0 && revived.length === 0) return [t("list.no_changes", { name, at: listTime(previous.at) }), ""];
+    const lines = [t("list.changes", { name, at: listTime(previous.at) })];
+    if (dead.length > 0) {
+      lines.push(t("list.newly_dead", { count: dead.length }));
+      lines.push(...dead.map((c) => `${statusIcon(c.current)} ${c.link} (${statusLabel(t, c.previous)} -> ${statusLabel(t, c.current)})`));
+    }
+    if (revived.length > 0) {
+      lines.push(t("list.revived", { count: revived.length }));
+      lines.push(...revived.map((c) => `${statusIcon(c.current)} ${c.link}`));
+    }
+    return [...lines, ""];
+  }
+
+  bot.command("list", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const userId = Number(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    const [, action = "", rawName = "", rest = ""] = /^\/list(?:@\w+)?\s*(\S*)\s*(\S*)([\s\S]*)$/i.exec(String(ctx.message.text || "")) || [];
+    const command = action.toLowerCase();
+    try {
+      if (!command) {
+        const saved = await lists.names(userId);
+        if (saved.length === 0) {
+          await ctx.reply([t("list.none"), "", t("list.usage")].join("\n"));
+          return;
+        }
+        const lines = saved.map((l) => t("list.summary_line", { name: l.name, count: l.count, checked: l.lastRunAt ? listTime(l.lastRunAt) : t("list.never_checked") }));
+        await replyInChunks(ctx, [t("list.header", { count: saved.length }), ...lines]);
+        return;
+      }
+      if (!["save", "add", "remove", "show", "check", "delete", "export"].includes(command)) {
+        await ctx.reply(t("list.usage"));
+        return;
+      }
+      const name = normalizeListName(rawName);
+      if (!name) {
+        await ctx.reply(rawName ? t("list.bad_name") : t("list.usage"));
+        return;
+      }
+
+      if (command === "save") {
+        const inline = extractUrls(rest);
+        const reply = ctx.message.reply_to_message;
+        if (inline.length > 0) await saveList(ctx, name, { rawLinks: inline });
+        else if (reply) await saveList(ctx, name, await listInput(ctx, reply));
+        else {
+          pendingListSaves.set(`${userId}:${Number(ctx.chat.id)}`, { name, expiresAt: Date.now() + config.BULK_SESSION_TTL_MS });
+          await ctx.reply(t("list.send_links", { name }));
+        }
+        return;
+      }
+
+      const list = await lists.get(userId, name);
+      if (!list) {
+        await ctx.reply(t("list.not_found", { name }));
+        return;
+      }
+      if (command === "add" || command === "remove") {
+        const source = extractUrls(rest).length > 0 ? { rawLinks: extractUrls(rest) } : await listInput(ctx, ctx.message.reply_to_message);
+        if (source.error) {
+          await ctx.reply(source.error);
+          return;
+        }
+        const { checkable } = partitionLinks(source.rawLinks);
+        if (checkable.length === 0) {
+          await ctx.reply(t("list.no_links"));
+          return;
+        }
+        if (command === "add") {
+          const outcome = await lists.addLinks(userId, name, checkable);
+          const lines = [t("list.added", { name, count: outcome.added, total: outcome.total })];
+          if (outcome.overLimit > 0) lines.push(t("list.over_limit", { count: outcome.overLimit, max: lists.maxLinks }));
+          await ctx.reply(lines.join("\n"));
+        } else {
+          const outcome = await lists.removeLinks(userId, name, checkable);
+          await ctx.reply(t("list.removed", { name, count: outcome.removed, total: outcome.total }));
+        }
+        return;
+      }
+      if (command === "show") {
+        const checked = list.lastRun ? t("list.last_checked", { at: listTime(list.lastRun.at) }) : t("list.never_checked");
+        await replyInChunks(ctx, [t("list.show_header", { name, count: list.links.length, updated: listTime(list.updatedAt), checked }), ...list.links]);
+        return;
+      }
+      if (command === "export") {
+        await ctx.replyWithDocument({ source: Buffer.from(`${list.links.join("\n")}\n`, "utf8"), filename: `telecheck-list-${name}.txt` });
+        return;
+      }
+      if (command === "delete") {
+        await lists.deleteList(userId, name);
+        await ctx.reply(t("list.deleted", { name }));
+        return;
+      }
+      if (list.links.length === 0) {
+        await ctx.reply(t("list.empty", { name }));
+        return;
+      }
+      // Lists saved before a limit was lowered can be larger than one check allows.
+      if (list.links.length > listLinkLimit()) {
+        await ctx.reply(t("list.too_big", { name, count: list.links.length, max: listLinkLimit() }));
+        return;
+      }
+      await runBulkCheck(ctx, list.links, [], { fresh: true, preface: (results) => listRunPreface(t, userId, name, results) });
+    } catch (err) {
+      log("error", "list_store_failed", { user_id: userId, message: err.message });
+      await ctx.reply(t("list.unavailable"));
+    }
+  });
+
+  bot.command("groupmode", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const t = translatorFor(ctx);
+    if (!isGroupChat(ctx)) {
+      await ctx.reply(t("group.use_in_group"));
+      return;
+    }
+    const text = String(ctx?.message?.text || "");
+    const args = text.replace(/^\/groupmode(@\w+)?\s*/i, "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const current = getGroupSetting(ctx.chat.id);
+    const usage = t("group.usage");
+
+    if (args.length === 0) {
+      await ctx.reply(t("group.status", { mode: current.mode.toUpperCase(), deleteState: t(current.deleteDead ? "common.on" : "common.off"), usage }));
+      return;
+    }
+    if (!(await isGroupAdmin(ctx))) {
+      await ctx.reply(t("group.admins_only"));
+      return;
+    }
+
+    const patch = {};
+    for (let i = 0; i < args.length; i++) {
+      if (GROUP_MODES.includes(args[i])) patch.mode = args[i];
+      else if (args[i] === "delete" && ["on", "off"].includes(args[i + 1])) patch.deleteDead = args[++i] === "on";
+      else {
+        await ctx.reply(usage);
+        return;
+      }
+    }
+
+    try {
+      await updateGroupSetting(ctx.chat.id, patch);
+      const next = getGroupSetting(ctx.chat.id);
+      log("info", "group_mode_updated", { chat_id: ctx.chat.id, user_id: ctx.from?.id, ...next });
+      const lines = [t("group.updated", { mode: next.mode.toUpperCase(), deleteState: t(next.deleteDead ? "common.on" : "common.off") })];
+      if (next.deleteDead) lines.push(t("group.needs_delete_right"));
+      await ctx.reply(lines.join("\n"));
+    } catch (err) {
+      log("error", "group_settings_store_persist_failed", { message: err.message });
+      await ctx.reply(t("error.save_setting"));
+    }
+  });
+
+  // Most common invalid targets and, for admins only, the most active users (ids and names).
+  function usageTopLines(t, summary, showUsers) {
+    const lines = [];
+    if (summary.topFailures.length > 0) {
+      lines.push(t("stats.bot_top_failures", { list: summary.topFailures.map((row) => `${row.target} (${row.count})`).join(", ") }));
+    }
+    if (showUsers && summary.topUsers.length > 0) {
+      const list = summary.topUsers.map((row) => `${describeUser(row.userId, authenticatedUsers.get(row.userId))} (${row.checks})`).join(", ");
+      lines.push(t("stats.bot_top_users", { list }));
+    }
+    return lines;
+  }
+
+  function usageLines(t, summary, showUsers) {
+    return [
+      t("stats.bot_checks", { count: summary.checks, single: summary.kinds.single || 0, bulk: summary.kinds.bulk || 0 }),
+      t("stats.bot_links", { count: summary.links, ...summary.statuses }),
+      t("stats.bot_users", { count: summary.activeUsers }),
+      ...usageTopLines(t, summary, showUsers),
+    ];
+  }
+
+  bot.command("stats", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const t = translatorFor(ctx);
+    const lines = [t("stats.title")];
+    try {
+      const stats = await client.stats();
+      for (const key of ["total", "valid", "invalid", "unknown"]) {
+        if (stats[key] !== undefined) lines.push(t(`stats.${key}`, { count: stats[key] }));
+      }
+      if (lines.length === 1) lines.push(JSON.stringify(stats.raw));
+    } catch (err) {
+      log("error", "stats_failed", { message: err.message });
+      lines.push(failureMessage(t, err, "error.stats_failed"));
+    }
+    lines.push(t("stats.users", { count: authenticatedUsers.size }));
+
+    const period = recentDays(USAGE_STATS_DAYS);
+    const today = usageStats.summarize(period.to, period.to);
+    lines.push("", t("stats.bot_title", period), ...usageLines(t, usageStats.summarize(period.from, period.to), isAdmin(ctx)));
+    lines.push(t("stats.bot_today", { checks: today.checks, links: today.links, users: today.activeUsers }));
+    await ctx.reply(lines.join("\n"));
+  });
+
+  function formatChange(t, current, previous) {
+    if (current === previous) return t("digest.no_change");
+    const delta = `${current > previous ? "+" : ""}${current - previous}`;
+    return previous > 0 ? `${delta}, ${current > previous ? "+" : ""}${Math.round(((current - previous) / previous) * 100)}%` : delta;
+  }
+
+  /** Digest for the period before `now`, each number compared with the period before that. */
+  function digestText(t, schedule, now = Date.now()) {
+    const { current, previous } = digestPeriods(schedule, now);
+    const cur = usageStats.summarize(current.from, current.to);
+    const prev = usageStats.summarize(previous.from, previous.to);
+    const rows = [
+      ["checks", cur.checks, prev.checks],
+      ["single", cur.kinds.single || 0, prev.kinds.single || 0],
+      ["bulk", cur.kinds.bulk || 0, prev.kinds.bulk || 0],
+      ["links", cur.links, prev.links],
+      ...["valid", "invalid", "unknown", "skipped"].map((status) => [status, cur.statuses[status], prev.statuses[status]]),
+      ["users", cur.activeUsers, prev.activeUsers],
+    ];
+    const lines = [t(`digest.title_${schedule}`, current), ""];
+    for (const [key, value, before] of rows) {
+      lines.push(t("digest.line", { label: t(`digest.${key}`), current: value, change: formatChange(t, value, before) }));
+    }
+    const tops = usageTopLines(t, cur, true);
+    return [...lines, ...(tops.length > 0 ? ["", ...tops] : [])].join("\n");
+  }
+
+  async function sendDigest() {
+    try {
+      await bot.telegram.sendMessage(config.DIGEST_CHAT_ID, digestText(createTranslator(config.DEFAULT_LANGUAGE), config.DIGEST_SCHEDULE));
+      log("info", "digest_sent", { schedule: config.DIGEST_SCHEDULE, chat_id: config.DIGEST_CHAT_ID });
+    } catch (err) {
+      log("error", "digest_failed", { schedule: config.DIGEST_SCHEDULE, chat_id: config.DIGEST_CHAT_ID, message: err.message });
+    }
+  }
+
+  function scheduleDigest() {
+    if (config.DIGEST_SCHEDULE === "off") return;
+    const at = nextDigestAt(config.DIGEST_SCHEDULE, config.DIGEST_HOUR_UTC);
+    digestTimer = setTimeout(async () => {
+      await sendDigest();
+      scheduleDigest();
+    }, at - Date.now());
+    digestTimer.unref?.();
+    log("info", "digest_scheduled", { schedule: config.DIGEST_SCHEDULE, at: new Date(at).toISOString() });
+  }
+
+  bot.command("digest", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const t = translatorFor(ctx);
+    if (!isAdmin(ctx)) {
+      await ctx.reply(t("access.not_authorized"));
+      return;
+    }
+    const arg = String(ctx.message.text || "")
+      .replace(/^\/digest(@\w+)?\s*/i, "")
+      .trim()
+      .toLowerCase();
+    const schedule = arg || (config.DIGEST_SCHEDULE === "off" ? "daily" : config.DIGEST_SCHEDULE);
+    if (!["daily", "weekly"].includes(schedule)) {
+      await ctx.reply(t("digest.usage"));
+      return;
+    }
+    await ctx.reply(digestText(t, schedule));
+  });
+
+  /**
+   * Re-reads every config source and applies the reloadable keys that changed.
+   * Keys that need a restart are reported but left at their running value; an
+   * invalid config is rejected as a whole and the running one is kept.
+   */
+  function reloadConfig(source) {
+    let next;
+    try {
+      next = readConfig();
+    } catch (err) {
+      log("error", "config_reload_failed", { source, message: err.message, errors: err.errors });
+      return { ok: false, errors: err.errors || [{ key: "CONFIG", message: err.message }] };
+    }
+    const changed = changedKeys(config, next);
+    const applied = changed.filter((key) => RELOADABLE_KEYS.includes(key));
+    const restartRequired = changed.filter((key) => !RELOADABLE_KEYS.includes(key));
+    config = Object.freeze({ ...config, ...Object.fromEntries(applied.map((key) => [key, next[key]])) });
+    linkBuckets.configure({ capacity: config.RATE_LIMIT_BURST, refillPerMinute: config.RATE_LIMIT_REFILL_PER_MIN });
+    messageBuckets.configure({ capacity: config.MESSAGE_RATE_LIMIT_BURST, refillPerMinute: config.MESSAGE_RATE_LIMIT_REFILL_PER_MIN });
+    quotas.setTiers(config.QUOTA_TIERS);
+    jobs.setMaxPerUser(config.MAX_JOBS_PER_USER);
+    bulkSessions.setMaxLinks(config.MAX_LINKS_PER_BULK);
+    watchStore.setMaxPerUser(config.WATCH_MAX_PER_USER);
+    lists.setLimits({ maxLists: config.LIST_MAX_PER_USER, maxLinks: listLinkLimit() });
+    log("info", "config_reloaded", { source, applied, restart_required: restartRequired });
+    return { ok: true, applied, restartRequired };
+  }
+
+  bot.command("config", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const lines = describeConfig(config).map(([key, value, reloadable]) => `${key}=${value}${reloadable ? " *" : ""}`);
+    await replyInChunks(ctx, [t("config.title"), "", ...lines, "", t("config.legend")]);
+  });
+
+  bot.command("reload", async (ctx) => {
+    if (!(await requireUserManager(ctx))) return;
+    const t = translatorFor(ctx);
+    const result = reloadConfig("command");
+    if (!result.ok) {
+      await replyInChunks(ctx, [t("reload.failed"), ...result.errors.map((e) => `- ${e.key}: ${e.message}`)]);
+      return;
+    }
+    const lines = [result.applied.length > 0 ? t("reload.applied", { keys: result.applied.join(", ") }) : t("reload.unchanged")];
+    if (result.restartRequired.length > 0) lines.push(t("reload.restart_required", { keys: result.restartRequired.join(", ") }));
+    await replyInChunks(ctx, lines);
+  });
+
+  bot.command("check", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const text = ctx.message.text || "";
+    const { fresh, rest } = parseFreshFlag(text.replace(/^\/check(@\w+)?\s*/i, "").trim());
+    const input = rest.trim();
+    const link = extractUrls(input)[0] || input;
+    const t = translatorFor(ctx);
+    const { detail } = getUserPref(ctx?.from?.id);
+    if (!link) {
+      await ctx.reply(t("check.provide"));
+      return;
+    }
+
+    const parsed = parseTelegramLink(link);
+    if (!parsed.ok) {
+      await ctx.replyWithHTML(formatOne({ link: parsed.input, status: "skipped", reason: parsed.reason }, t, detail));
+      return;
+    }
+
+    if (!(await enforceLinkBudget(ctx, 1))) return;
+    try {
+      const result = await client.checkSingle(parsed.canonical, { fresh });
+      await ctx.replyWithHTML(formatOne(result, t, detail));
+      await recordHistory(ctx, "single", [result]);
+    } catch (err) {
+      log("error", "single_failed", { message: err.message });
+      await ctx.reply(failureMessage(t, err, "error.check_failed"));
+    }
+  });
+
+  async function openBulkSession(ctx) {
+    const t = translatorFor(ctx);
+    const { session, created, expired } = bulkSessions.open(ctx.from.id, ctx.chat.id);
+    if (expired) await ctx.reply(t("bulk.expired", { count: expired.links.length }));
+    await ctx.reply(t("bulk.prompt"));
+    if (!created && session.links.length > 0) {
+      await ctx.reply(t("bulk.still_open", { count: session.links.length }));
+    }
+  }
+
+  async function addToBulkSession(ctx, rawLinks) {
+    const outcome = bulkSessions.add(ctx.from.id, ctx.chat.id, rawLinks);
+    if (!outcome) return false;
+    const t = translatorFor(ctx);
+    const lines = [t("bulk.added", { count: outcome.added, total: outcome.total, max: config.MAX_LINKS_PER_BULK })];
+    if (outcome.duplicates > 0) lines.push(t("bulk.duplicates", { count: outcome.duplicates }));
+    if (outcome.skipped > 0) lines.push(t("bulk.not_checkable", { count: outcome.skipped }));
+    if (outcome.overLimit > 0) lines.push(t("bulk.over_limit", { count: outcome.overLimit }));
+    lines.push(t("bulk.next"));
+    await ctx.reply(lines.join("\n"));
+    return true;
+  }
+
+  function startBulkSessionSweeper() {
+    bulkSessionSweepTimer = setInterval(() => {
+      for (const session of bulkSessions.sweep()) {
+        const text = createTranslator(localeFor(session.userId))("bulk.expired", { count: session.links.length });
+        bot.telegram.sendMessage(session.chatId, text).catch((err) => {
+          log("error", "bulk_session_notify_failed", { user_id: session.userId, message: err.message });
+        });
+      }
+    }, Math.min(60000, config.BULK_SESSION_TTL_MS));
+    bulkSessionSweepTimer.unref?.();
+  }
+
+  bot.command("bulk", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    await openBulkSession(ctx);
+  });
+
+  bot.command("done", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const userId = Number(ctx?.from?.id);
+    const t = translatorFor(ctx);
+    const session = bulkSessions.get(userId, ctx.chat.id);
+    if (!session) {
+      await ctx.reply(t("bulk.no_session"));
+      return;
+    }
+    if (session.links.length === 0 && session.skipped.length === 0) {
+      await ctx.reply(t("bulk.nothing_collected"));
+      return;
+    }
+    const { fresh } = parseFreshFlag(String(ctx?.message?.text || "").replace(/^\/done(@\w+)?\s*/i, "").trim());
+    // The session is only taken once the run is admitted, so a refused /done keeps the collected links.
+    await runBulkCheck(ctx, session.links, session.skipped, { fresh, onStart: () => bulkSessions.take(userId, ctx.chat.id) });
+  });
+
+  bot.command("discard", async (ctx) => {
+    if (!(await guard(ctx))) return;
+    const t = translatorFor(ctx);
+    const session = bulkSessions.discard(ctx.from.id, ctx.chat.id);
+    if (!session) {
+      await ctx.reply(t("bulk.not_open"));
+      return;
+    }
+    await ctx.reply(t("bulk.discarded", { count: session.links.length }));
+  });
+
+  bot.on("text", async (ctx) => {
+    const text = (ctx.message.text || "").trim();
+    // In groups only a bulk session or list save the member started in this group takes their messages; the rest is scanned.
+    // A pending list save only takes a message that has links, so chatter in between does not use it up.
+    const pendingListChat = hasPendingListSave(ctx.from.id, ctx.chat.id);
+    if (isGroupChat(ctx) && !text.startsWith("/") && !bulkSessions.get(ctx.from.id, ctx.chat.id) && !(pendingListChat && extractUrls(text).length > 0)) {
+      await scanGroupMessage(ctx, text);
+      return;
+    }
+    if (!(await guard(ctx))) return;
+    const normalizedText = text.toLowerCase();
+    const t = translatorFor(ctx);
+    if (!text) return;
+
+    // Keyboard buttons are matched in every language, in case the keyboard predates a /lang change.
+    if (translations("keyboard.check").includes(normalizedText)) {
+      await ctx.reply(t("check.hint"));
+      return;
+    }
+
+    if (translations("keyboard.bulk").includes(normalizedText)) {
+      await openBulkSession(ctx);
+      return;
+    }
+
+    if (translations("keyboard.settings").includes(normalizedText)) {
+      await sendSettingsPanel(ctx);
+      return;
+    }
+
+    if (text.startsWith("/")) return;
+
+    if (pendingListChat) {
+      const rawLinks = extractUrls(text);
+      if (rawLinks.length > 0) {
+        await saveList(ctx, takePendingListSave(ctx.from.id, ctx.chat.id), { rawLinks });
+        return;
+      }
+      if (!isGroupChat(ctx)) {
+        await ctx.reply(t("list.no_links"));
+        return;
+      }
+    }
+
+    if (bulkSessions.get(ctx.from.id, ctx.chat.id)) {
+      const rawLinks = extractUrls(text);
+      if (rawLinks.length === 0) {
+        await ctx.reply(t("bulk.no_links"));
+        return;
+      }
+      await addToBulkSession(ctx, rawLinks);
+      return;
+    }
+
+    const { fresh, rest } = parseFreshFlag(text);
+    const { checkable: links, skipped } = partitionLinks(extractUrls(rest));
+    if (links.length === 0 && skipped.length === 0) return;
+    if (links.length > config.MAX_LINKS_PER_BULK) {
+      await ctx.reply(t("text.too_many", { max: config.MAX_LINKS_PER_BULK }));
+      return;
+    }
+
+    const { detail } = getUserPref(ctx?.from?.id);
+    if (links.length === 0 && skipped.length === 1) {
+      await ctx.replyWithHTML(formatOne(skipped[0], t, detail));
+      return;
+    }
+
+    if (links.length === 1 && skipped.length === 0) {
+      if (!(await enforceLinkBudget(ctx, 1))) return;
+      try {
+        const result = await client.checkSingle(links[0], { fresh });
+        await ctx.replyWithHTML(formatOne(result, t, detail));
+        await recordHistory(ctx, "single", [result]);
+      } catch (err) {
+        log("error", "single_text_failed", { message: err.message });
+        await ctx.reply(failureMessage(t, err, "error.check_failed"));
+      }
+      return;
+    }
+
+    await runBulkCheck(ctx, links, skipped, { fresh });
+  });
+
+  bot.on("document", async (ctx) => {
+    // Files shared in a group are none of the bot's business unless the sender started a list save or /bulk there.
+    if (isGroupChat(ctx) && !bulkSessions.get(ctx.from.id, ctx.chat.id) && !hasPendingListSave(ctx.from.id, ctx.chat.id)) return;
+    if (!(await guard(ctx))) return;
+    const pendingList = takePendingListSave(ctx.from.id, ctx.chat.id);
+    if (pendingList) {
+      await saveList(ctx, pendingList, await listInput(ctx, ctx.message));
+      return;
+    }
+    const document = ctx.message.document;
+    const format = documentFormat(document?.file_name, document?.mime_type);
+    const t = translatorFor(ctx);
+    if (!format) {
+      await ctx.reply(t("document.unsupported"));
+      return;
+    }
+    if (Number(document.file_size) > config.MAX_DOCUMENT_BYTES) {
+      await ctx.reply(t("document.too_large", { max: config.MAX_DOCUMENT_BYTES }));
+      return;
+    }
+
+    const { fresh, column } = parseDocumentCaption(ctx.message.caption);
+    let rawLinks;
+    try {
+      const content = await downloadDocument(ctx, document);
+      rawLinks = extractLinksFromDocument(content, format, { column });
+    } catch (err) {
+      log("error", "document_read_failed", { format, message: err.message });
+      await ctx.reply(t("document.read_failed", { message: err.message }));
+      return;
+    }
+
+    const { checkable: links, skipped } = partitionLinks(rawLinks);
+    if (links.length === 0 && skipped.length === 0) {
+      await ctx.reply(t("document.no_links"));
+      return;
+    }
+    if (links.length > config.MAX_LINKS_PER_FILE) {
+      await ctx.reply(t("document.too_many", { max: config.MAX_LINKS_PER_FILE }));
+      return;
+    }
+    await runBulkCheck(ctx, links, skipped, { fresh });
+  });
+
+  /**
+   * Inline answers go out on every keystroke, so nothing is charged or counted
+   * until the user picks one. The results of recent answers are kept per user
+   * and query for chosen_inline_result; the result id carries the link cost so
+   * a pick can still be charged when they are gone.
+   */
+  const inlineAnswers = new Map();
+  const INLINE_ANSWERS_MAX = 1000;
+
+  function rememberInlineAnswer(userId, query, results) {
+    const key = `${userId}\n${query}`;
+    inlineAnswers.delete(key);
+    inlineAnswers.set(key, results);
+    if (inlineAnswers.size > INLINE_ANSWERS_MAX) inlineAnswers.delete(inlineAnswers.keys().next().value);
+  }
+
+  bot.on("inline_query", async (ctx) => {
+    const query = String(ctx.inlineQuery?.query || "");
+    const { checkable, skipped } = partitionLinks(extractUrls(query));
+    if (checkable.length === 0 && skipped.length === 0) {
+      await ctx.answerInlineQuery([], { cache_time: config.INLINE_CACHE_TIME_SEC, is_personal: true });
+      return;
+    }
+
+    const links = checkable.slice(0, config.INLINE_MAX_LINKS);
+    const t = translatorFor(ctx);
+    const denial = await inlineDenial(ctx, links.length);
+    if (denial) {
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true, button: { text: denial, start_parameter: "inline" } });
+      return;
+    }
+
+    // Telegram drops answers that come too late, so retries stop at the inline deadline.
+    const signal = AbortSignal.timeout(config.INLINE_TIMEOUT_MS);
+    let checked;
+    try {
+      checked = links.length === 1 ? [await client.checkSingle(links[0], { signal })] : links.length > 1 ? await client.checkBulk(links, { signal }) : [];
+    } catch (err) {
+      const timedOut = err?.code === "JOB_CANCELLED";
+      if (timedOut) log("info", "inline_check_timed_out", { links: links.length, timeout_ms: config.INLINE_TIMEOUT_MS });
+      else log("error", "inline_check_failed", { message: err.message });
+      const button = { text: timedOut ? t("inline.timed_out") : failureMessage(t, err, "inline.check_failed"), start_parameter: "inline" };
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true, button });
+      return;
+    }
+
+    const results = [...checked, ...skipped];
+    const pref = getUserPref(ctx?.from?.id);
+    const articles = results.map((result, idx) =>
+      inlineArticle(`r${idx}.${result.status === "skipped" ? 0 : 1}`, `${statusLabel(t, result.status)}: ${result.link}`, result.reason, formatOne(result, t, pref.detail))
+    );
+    if (results.length > 1) {
+      const lines = buildBulkLines(results, resultOptions(pref, t));
+      const summary = buildBulkSummary(results, { t }).slice(1).join(", ");
+      articles.unshift(inlineArticle(`all.${checked.length}`, t("inline.all_links", { count: results.length }), summary, escapeHtml(lines.join("\n"))));
+    }
+    if (checkable.length > links.length) {
+      log("info", "inline_links_truncated", { requested: checkable.length, checked: links.length });
+    }
+    rememberInlineAnswer(ctx.from.id, query, results);
+    await ctx.answerInlineQuery(articles, { cache_time: config.INLINE_CACHE_TIME_SEC, is_personal: true });
+  });
+
+  // Needs inline feedback enabled in @BotFather (/setinlinefeedback), or picks are never charged.
+  bot.on("chosen_inline_result", async (ctx) => {
+    const { result_id: resultId, query } = ctx.chosenInlineResult;
+    const match = /^(r(\d+)|all)\.(\d+)$/.exec(String(resultId || ""));
+    if (!match) return;
+    const cost = Number(match[3]);
+    const denial = cost > 0 ? await chargeLinks(ctx, cost) : null;
+    // The message is already sent; a limit hit since the answer only shows up in the log.
+    if (denial) log("info", "inline_charge_denied", { user_id: ctx.from.id, cost, reason: denial.reason });
+    const results = inlineAnswers.get(`${ctx.from.id}\n${query}`);
+    const sent = results && (match[2] === undefined ? results : results.slice(Number(match[2]), Number(match[2]) + 1));
+    const checked = (sent || []).filter((result) => result.status !== "skipped");
+    if (checked.length > 0) await recordUsage(ctx.from.id, checked.length === 1 ? "single" : "bulk", sent);
+  });
+
+  bot.catch((err, ctx) => {
+    log("error", "bot_uncaught", {
+      message: err?.message,
+      user_id: ctx?.from?.id,
+      chat_id: ctx?.chat?.id,
+    });
+    if (ctx?.chat) ctx.reply(translatorFor(ctx)("error.unexpected")).catch(() => {});
+  });
+
+  /** `GET /api/stats`: upstream totals, the bot's recent usage without per-user rows, and the key user's allowance. */
+  async function apiStats(userId) {
+    let upstream;
+    try {
+      const { raw, ...totals } = await client.stats();
+      upstream = totals;
+    } catch (err) {
+      upstream = { error: err.message };
+    }
+    const period = recentDays(USAGE_STATS_DAYS);
+    const { topUsers, ...usage } = usageStats.summarize(period.from, period.to);
+    const quota = quotas.status(userId, tierFor(userId));
+    const allowance = (row) => ({ ...row, remaining: Number.isFinite(row.remaining) ? row.remaining : null, resetAt: new Date(row.resetAt).toISOString() });
+    return {
+      upstream,
+      usage,
+      quota: {
+        tier: quota.tier,
+        daily: allowance(quota.daily),
+        monthly: allowance(quota.monthly),
+        burstTokens: linkBuckets.peek(userId),
+        burstCapacity: linkBuckets.capacity,
+      },
+    };
+  }
+
+  const apiHandler = createApiHandler({
+    keys: apiKeys,
+    client,
+    jobs,
+    log,
+    jobTtlMs: config.API_JOB_TTL_MS,
+    limits: () => ({ maxLinks: config.MAX_LINKS_PER_BULK, maxChars: config.MAX_MESSAGE_CHARS }),
+    // Checked per request, so /ban, /revoke, /logoutall and allowlist reloads apply to existing keys at once.
+    accessDenial: (userId) => {
+      const reason = userAccessDenial(userId);
+      if (reason) rejections.inc({ reason });
+      return reason;
+    },
+    // The key's user stands in for the chat sender, so denials come in their language.
+    charge: async (userId, cost) => {
+      const denial = await chargeLinks({ from: { id: userId } }, cost);
+      if (denial) rejections.inc({ reason: denial.reason });
+      return denial;
+    },
+    recordUsage,
+    stats: apiStats,
+  });
+
+  // In webhook mode the API is served by the webhook server instead (see launch()).
+  function startApiServer() {
+    if (!config.API_ENABLED || config.WEBHOOK_DOMAIN) return;
+    apiServer = http.createServer(apiHandler);
+    apiServer.on("error", (err) => log("error", "api_server_failed", { port: config.API_PORT, message: err.message }));
+    apiServer.listen(config.API_PORT, () => log("info", "api_server_listening", { port: config.API_PORT }));
+  }
+
+  function startStatusServer() {
+    if (!(config.METRICS_PORT > 0)) return;
+    statusServer = createStatusServer({ registry: metrics, health: healthStatus });
+    statusServer.on("error", (err) => log("error", "status_server_failed", { port: config.METRICS_PORT, message: err.message }));
+    statusServer.listen(config.METRICS_PORT, () => log("info", "status_server_listening", { port: config.METRICS_PORT }));
+  }
+
+  /** Loads the stores and starts the watch, bulk-session and digest timers; for a bot launched by its host. */
+  async function start() {
+    await loadStore();
+    await loadResultCache();
+    await loadWatchStore();
+    startWatchScheduler();
+    startBulkSessionSweeper();
+    scheduleDigest();
+  }
+
+  /** `start()`, then the status listener and polling or webhook updates per config. */
+  async function launch() {
+    startStatusServer();
+    await start();
+    startApiServer();
+    launchedHere = true;
+    if (config.WEBHOOK_DOMAIN) {
+      await bot.launch({
+        webhook: {
+          domain: config.WEBHOOK_DOMAIN,
+          port: config.WEBHOOK_PORT,
+          hookPath: config.WEBHOOK_PATH,
+          secretToken: config.WEBHOOK_SECRET_TOKEN || undefined,
+          cb: (req, res) => statusHandler(req, res, config.API_ENABLED ? apiHandler : undefined),
+        },
+      });
+      readiness.launched = true;
+      log("info", "bot_started", {
+        mode: "webhook",
+        webhook_domain: config.WEBHOOK_DOMAIN,
+        webhook_path: config.WEBHOOK_PATH,
+        webhook_port: config.WEBHOOK_PORT,
+        api_base_url: config.API_BASE_URL,
+      });
+      return;
+    }
+
+    // In polling mode launch() only settles once polling stops, so startup is reported from the onLaunch callback.
+    await bot.launch(() => {
+      readiness.launched = true;
+      log("info", "bot_started", { mode: "polling", api_base_url: config.API_BASE_URL });
+    });
+  }
+
+  /** Stops timers and listeners, stops the bot if `launch()` started it, and flushes the stores. */
+  async function stop(signal) {
+    if (watchTimer) clearInterval(watchTimer);
+    if (digestTimer) clearTimeout(digestTimer);
+    if (bulkSessionSweepTimer) clearInterval(bulkSessionSweepTimer);
+    readiness.launched = false;
+    statusServer?.close();
+    apiServer?.close();
+    if (launchedHere) bot.stop(signal);
+    launchedHere = false;
+    await Promise.all([
+      store.close().catch((err) => log("error", "store_close_failed", { message: err.message })),
+      client.cache.flush().catch((err) => log("error", "result_cache_persist_failed", { message: err.message })),
+    ]);
+  }
+
+  return {
+    bot,
+    client,
+    store,
+    metrics,
+    start,
+    launch,
+    stop,
+    reloadConfig,
+    healthStatus,
+    get config() {
+      return config;
+    },
+  };
+}
+
+module.exports = { createBot, clientOptions };
@@ -0,0 +1,118 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function safeEqual(a, b) {
+  const left = Buffer.isBuffer(a) ? a : Buffer.from(String(a));
+  const right = Buffer.isBuffer(b) ? b : Buffer.from(String(b));
+  // Hash both sides so lengths match and the comparison time does not leak either length.
+  const digestA = crypto.createHash("sha256").update(left).digest();
+  const digestB = crypto.createHash("sha256").update(right).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/** Salted scrypt hash in the form `scrypt$N$r$p$salt$hash` (salt and hash base64). */
+function hashPassword(password, options = {}) {
+  const salt = options.salt || crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = crypto.scryptSync(String(password), salt, 32, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+function parsePasswordHash(encoded) {
+  const parts = String(encoded || "").trim().split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return null;
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  if (![N, r, p].every(Number.isInteger)) return null;
+  return { N, r, p, salt: Buffer.from(parts[4], "base64"), hash: Buffer.from(parts[5], "base64") };
+}
+
+/**
+ * Checks `supplied` against `{ hash }` (from hashPassword) or `{ plain }`,
+ * preferring the hash. All comparisons are constant-time.
+ */
+function verifyPassword(supplied, secret = {}) {
+  if (secret.hash) {
+    const parsed = parsePasswordHash(secret.hash);
+    if (!parsed) return false;
+    const { N, r, p, salt, hash } = parsed;
+    const candidate = crypto.scryptSync(String(supplied), salt, hash.length, { N, r, p, maxmem: 256 * N * r });
+    return crypto.timingSafeEqual(candidate, hash);
+  }
+  if (secret.plain) return safeEqual(String(supplied), String(secret.plain));
+  return false;
+}
+
+function generateInviteCode(length = 10) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, (byte) => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join("");
+}
+
+// Invite codes are stored by digest only, so a leaked store does not leak usable codes.
+function inviteKey(code) {
+  return crypto.createHash("sha256").update(String(code).trim().toUpperCase()).digest("hex");
+}
+
+/** A new REST API key `tck_<id>_<secret>`; the id is not secret and names the key in listings. */
+function generateApiKey() {
+  const id = crypto.randomBytes(4).toString("hex");
+  return { id, key: `tck_${id}_${crypto.randomBytes(24).toString("base64url")}` };
+}
+
+// API keys are stored by digest only, like invite codes.
+function apiKeyDigest(key) {
+  return crypto.createHash("sha256").update(String(key).trim()).digest("hex");
+}
+
+function verifyApiKey(key, digest) {
+  return safeEqual(apiKeyDigest(key), String(digest || ""));
+}
+
+/**
+ * Failed-attempt lockout per user. The `maxAttempts`-th failure locks the user
+ * out for `baseDelayMs`; every further failure doubles the delay, up to
+ * `maxDelayMs`. A success resets the count.
+ */
+function createLockout(options = {}) {
+  const maxAttempts = Math.max(1, Number(options.maxAttempts ?? 5));
+  const baseDelayMs = Number(options.baseDelayMs ?? 60 * 1000);
+  const maxDelayMs = Number(options.maxDelayMs ?? 60 * 60 * 1000);
+  const users = new Map();
+
+  function check(userId, now = Date.now()) {
+    const entry = users.get(Number(userId));
+    if (!entry || entry.lockedUntil <= now) return { locked: false, retryInMs: 0, failures: entry?.failures || 0 };
+    return { locked: true, retryInMs: entry.lockedUntil - now, failures: entry.failures };
+  }
+
+  function fail(userId, now = Date.now()) {
+    const id = Number(userId);
+    const entry = users.get(id) || { failures: 0, lockedUntil: 0 };
+    entry.failures++;
+    const over = entry.failures - maxAttempts;
+    const lockMs = over >= 0 ? Math.min(maxDelayMs, baseDelayMs * 2 ** over) : 0;
+    entry.lockedUntil = lockMs > 0 ? now + lockMs : 0;
+    users.set(id, entry);
+    return { failures: entry.failures, lockedForMs: lockMs };
+  }
+
+  function reset(userId) {
+    users.delete(Number(userId));
+  }
+
+  return { check, fail, reset, maxAttempts };
+}
+
+module.exports = { hashPassword, verifyPassword, generateInviteCode, inviteKey, generateApiKey, apiKeyDigest, verifyApiKey, createLockout };
+
+if (require.main === module) {
+  const password = process.argv[2];
+  if (!password) {
+    console.error("Usage: npm run hash-password -- <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
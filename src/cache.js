@@ -0,0 +1,106 @@
+"use strict";
+
+const { promises: fsp } = require("fs");
+const { linkKey } = require("./core");
+const { writeFileAtomic } = require("./storage");
+
+/**
+ * TTL + LRU cache for normalized check results, keyed by canonical link.
+ * Map insertion order doubles as recency order: every hit re-inserts the key.
+ * When `file` is set the cache can be loaded from / flushed to disk.
+ */
+function createResultCache(options = {}) {
+  const maxEntries = Math.max(0, Number(options.maxEntries ?? 5000));
+  const ttls = {
+    valid: Number(options.ttlValidMs ?? 6 * 60 * 60 * 1000),
+    invalid: Number(options.ttlInvalidMs ?? 60 * 60 * 1000),
+    unknown: Number(options.ttlUnknownMs ?? 5 * 60 * 1000),
+  };
+  const file = options.file || null;
+  const flushDelayMs = Number(options.flushDelayMs ?? 5000);
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0 };
+  let flushTimer = null;
+
+  function ttlFor(status) {
+    return ttls[status] ?? 0;
+  }
+
+  function get(link, now = Date.now()) {
+    const key = linkKey(link);
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      if (entry) entries.delete(key);
+      counters.misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return { ...entry.result };
+  }
+
+  function set(link, result, now = Date.now()) {
+    const ttl = ttlFor(result?.status);
+    if (maxEntries === 0 || !(ttl > 0)) return;
+    const key = linkKey(link);
+    entries.delete(key);
+    entries.set(key, { result: { ...result }, expiresAt: now + ttl });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    scheduleFlush();
+  }
+
+  function clear() {
+    entries.clear();
+    scheduleFlush();
+  }
+
+  function stats() {
+    return { size: entries.size, hits: counters.hits, misses: counters.misses };
+  }
+
+  function scheduleFlush() {
+    if (!file || flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch((err) => options.onError?.(err));
+    }, flushDelayMs);
+    flushTimer.unref?.();
+  }
+
+  async function load(now = Date.now()) {
+    if (!file) return 0;
+    try {
+      const raw = await fsp.readFile(file, "utf8");
+      const parsed = JSON.parse(raw);
+      const rows = Array.isArray(parsed?.entries) ? parsed.entries : [];
+      for (const [key, entry] of rows) {
+        if (!entry?.result || !(entry.expiresAt > now)) continue;
+        entries.set(key, { result: entry.result, expiresAt: entry.expiresAt });
+      }
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return entries.size;
+    } catch (err) {
+      if (err?.code === "ENOENT") return 0;
+      throw err;
+    }
+  }
+
+  async function flush(now = Date.now()) {
+    if (!file) return;
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    const rows = [...entries.entries()].filter(([, entry]) => entry.expiresAt > now);
+    await writeFileAtomic(file, `${JSON.stringify({ entries: rows })}\n`);
+  }
+
+  return { get, set, clear, stats, load, flush };
+}
+
+module.exports = { createResultCache };
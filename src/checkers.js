@@ -0,0 +1,244 @@
+"use strict";
+
+const { pick, normalizeResult, extractBulkRows, parseTelegramLink } = require("./core");
+
+/*
+ * Checker backends share one shape:
+ *   { name, checkOne(link, { signal }) -> result, checkMany?(links, { signal }) -> results | null, stats?() }
+ * `checkMany` returns null when the backend answered but in a form that could
+ * not be mapped to results; callers then fall back to `checkOne` per link.
+ */
+
+const passthroughRetry = (action) => action();
+
+function createTelecheckChecker(options = {}) {
+  const { http } = options;
+  const retry = options.retry || passthroughRetry;
+
+  async function checkOne(link, { signal } = {}) {
+    const { data } = await retry(() => http.get("/", { params: { link }, signal }), "single", { signal });
+    return normalizeResult({ ...(data || {}), link });
+  }
+
+  async function checkMany(links, { signal } = {}) {
+    const attempts = [
+      () => http.post("/", { links }, { signal }),
+      () => http.post("/", links, { signal }),
+      () => http.post("/", { data: links }, { signal }),
+      () => http.post("/", { urls: links }, { signal }),
+    ];
+
+    let lastErr;
+    let hadSuccessfulResponse = false;
+    for (const payloadAttempt of attempts) {
+      try {
+        const { data } = await retry(payloadAttempt, "bulk", {
+          suppressStatuses: [400, 404, 405, 415, 422],
+          signal,
+        });
+        hadSuccessfulResponse = true;
+        const rows = extractBulkRows(data, links);
+        if (!rows) continue;
+
+        const normalized = rows.map(normalizeResult);
+        if (normalized.length === links.length) return normalized;
+        if (normalized.length > 0) {
+          const byLink = new Map(normalized.map((r) => [r.link, r]));
+          return links.map((link) => byLink.get(link) || normalizeResult({ link, status: "unknown", reason: "Missing in bulk response" }));
+        }
+      } catch (err) {
+        if (err?.code === "JOB_CANCELLED" || err?.code === "CHECKER_UNAVAILABLE") throw err;
+        lastErr = err;
+      }
+    }
+    if (lastErr && !hadSuccessfulResponse) throw lastErr;
+    return null;
+  }
+
+  async function stats() {
+    const { data } = await retry(() => http.get("/stats"), "stats");
+    const total = pick(data, ["total", "totalChecked", "checked", "all", "count"]);
+    const valid = pick(data, ["valid", "validCount", "ok"]);
+    const invalid = pick(data, ["invalid", "invalidCount", "bad"]);
+    const unknown = pick(data, ["unknown", "unknownCount"]);
+    return { total, valid, invalid, unknown, raw: data };
+  }
+
+  return { name: "telecheck", checkOne, checkMany, stats };
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function htmlText(fragment) {
+  return String(fragment || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, code) => {
+      if (code[0] === "#") {
+        const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) ? String.fromCodePoint(point) : whole;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? whole;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function matchClass(html, tag, className) {
+  const re = new RegExp(`<${tag}[^>]*class="[^"]*\\b${className}\\b[^"]*"[^>]*>([\\s\\S]*?)</${tag}>`, "i");
+  const match = re.exec(html);
+  return match ? htmlText(match[1]) : null;
+}
+
+function parseCount(text) {
+  const match = /([\d][\d\s.,]*)\s*(subscribers?|members?)/i.exec(text || "");
+  if (!match) return null;
+  const digits = match[1].replace(/[^\d]/g, "");
+  return digits ? Number(digits) : null;
+}
+
+/**
+ * Classifies a public t.me preview page. Existing entities render a
+ * `tgme_page_title`; unknown usernames get the generic "If you have Telegram,
+ * you can contact @name right away" page without one.
+ */
+function classifyTelegramPage(html) {
+  const page = String(html || "");
+  const title = matchClass(page, "div", "tgme_page_title");
+  const extra = matchClass(page, "div", "tgme_page_extra") || "";
+  const action = matchClass(page, "a", "tgme_action_button_new") || "";
+  const context = matchClass(page, "a", "tgme_page_context_link") || "";
+
+  if (!title) {
+    if (/If you have\s*(<strong>)?\s*Telegram\s*(<\/strong>)?\s*, you can contact/i.test(page)) {
+      return { status: "invalid", kind: null, title: null, memberCount: null, verified: null, reason: "No such username" };
+    }
+    return { status: "unknown", kind: null, title: null, memberCount: null, verified: null, reason: "Unrecognized t.me page" };
+  }
+
+  let kind = "user";
+  if (/subscriber/i.test(extra) || /preview channel/i.test(context) || /join channel/i.test(action)) kind = "channel";
+  else if (/member/i.test(extra) || /join group/i.test(action)) kind = "group";
+  else if (/start bot/i.test(action) || /bot$/i.test(extra)) kind = "bot";
+  // The verified badge is an <i class="verified-icon"> inside the title block.
+  const verified = /class="[^"]*\btgme_page_title\b[^"]*"[^>]*>(?:(?!<\/div>)[\s\S])*verified-icon/i.test(page);
+  return { status: "valid", kind, title, memberCount: parseCount(extra), verified, reason: null };
+}
+
+function createDirectChecker(options = {}) {
+  const { http } = options;
+  const retry = options.retry || passthroughRetry;
+
+  async function checkOne(link, { signal } = {}) {
+    const parsed = parseTelegramLink(link);
+    if (!parsed.ok) return normalizeResult({ link, status: "unknown", reason: parsed.reason });
+    if (!parsed.username && parsed.kind === "message") {
+      return normalizeResult({ link, status: "unknown", reason: "Private message links cannot be checked publicly" });
+    }
+    const pageUrl = parsed.username ? `https://t.me/${parsed.username}` : parsed.canonical;
+    const { data } = await retry(() => http.get(pageUrl, { responseType: "text", signal }), "direct", { signal });
+    const page = classifyTelegramPage(data);
+    return normalizeResult({
+      ...page,
+      link,
+      // Invite pages look like group or channel pages; report them as private invites.
+      kind: page.status === "valid" && parsed.kind === "invite" ? "private" : page.kind,
+      username: parsed.username || null,
+    });
+  }
+
+  return { name: "direct", checkOne };
+}
+
+const INVALID_HINT = /(dead|invalid)/i;
+const UNKNOWN_HINT = /unknown/i;
+
+/**
+ * Deterministic in-process backend for tests and offline development.
+ * Explicit `statuses` win; otherwise links mentioning dead/invalid are
+ * invalid, links mentioning unknown are unknown, and the rest are valid.
+ * `details` maps links to metadata (kind, title, ...) merged into results.
+ */
+function createFakeChecker(options = {}) {
+  const statuses = new Map(Object.entries(options.statuses || {}));
+  const details = new Map(Object.entries(options.details || {}));
+  const delayMs = Number(options.delayMs || 0);
+  const calls = { single: 0, bulk: 0 };
+
+  function statusFor(link) {
+    if (statuses.has(link)) return statuses.get(link);
+    if (INVALID_HINT.test(link)) return "invalid";
+    if (UNKNOWN_HINT.test(link)) return "unknown";
+    return "valid";
+  }
+
+  async function wait(signal) {
+    if (delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    if (signal?.aborted) {
+      const err = new Error("canceled");
+      err.code = "ERR_CANCELED";
+      throw err;
+    }
+  }
+
+  async function checkOne(link, { signal } = {}) {
+    calls.single++;
+    await wait(signal);
+    if (options.fail) throw new Error(options.fail);
+    return normalizeResult({ ...details.get(link), link, status: statusFor(link) });
+  }
+
+  async function checkMany(links, { signal } = {}) {
+    calls.bulk++;
+    await wait(signal);
+    if (options.fail) throw new Error(options.fail);
+    return links.map((link) => normalizeResult({ ...details.get(link), link, status: statusFor(link) }));
+  }
+
+  async function stats() {
+    return { total: calls.single + calls.bulk, raw: { ...calls } };
+  }
+
+  return { name: "fake", checkOne, checkMany, stats, calls, statusFor };
+}
+
+// Tags every retried call with its backend so retry policy (circuit breakers) can be kept per backend.
+function backendRetry(deps, name) {
+  const retry = deps.retry || passthroughRetry;
+  return (action, label, options = {}) => retry(action, label, { ...options, backend: name });
+}
+
+const BACKEND_FACTORIES = {
+  telecheck: (deps) => createTelecheckChecker({ http: deps.telecheckHttp, retry: backendRetry(deps, "telecheck") }),
+  direct: (deps) => createDirectChecker({ http: deps.directHttp, retry: backendRetry(deps, "direct") }),
+  fake: () => createFakeChecker(),
+};
+
+/**
+ * Builds the backend chain from a comma-separated list such as
+ * "telecheck,direct". The first entry is primary, the rest are fallbacks.
+ */
+function createCheckerChain(spec, deps = {}) {
+  const names = String(spec || "telecheck")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+  if (names.length === 0) throw new Error("No checker backend configured.");
+  const unknown = names.filter((name) => !BACKEND_FACTORIES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown checker backend(s): ${unknown.join(", ")}. Available: ${Object.keys(BACKEND_FACTORIES).join(", ")}`);
+  }
+  return [...new Set(names)].map((name) => BACKEND_FACTORIES[name](deps));
+}
+
+/** Names CHECKER_BACKENDS may list. */
+const CHECKER_BACKEND_NAMES = Object.keys(BACKEND_FACTORIES);
+
+module.exports = {
+  CHECKER_BACKEND_NAMES,
+  createTelecheckChecker,
+  classifyTelegramPage,
+  createDirectChecker,
+  createFakeChecker,
+  createCheckerChain,
+};
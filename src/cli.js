@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { extractUrls, deduplicateLinks, partitionLinks, documentFormat, extractLinksFromDocument, buildBulkLines, serializeResults } = require("./core");
+const { loadConfig } = require("./config");
+const { TeleCheckClient } = require("./client");
+const { clientOptions } = require("./app");
+const { nowIso } = require("./log");
+
+const OUTPUT_FORMATS = ["table", "json", "csv", "ndjson"];
+const ONLY_STATUSES = ["valid", "invalid", "unknown", "skipped"];
+
+const EXIT = { ok: 0, invalid: 1, unknown: 2, error: 3 };
+
+const USAGE = `Usage: telecheck [options] [file ...]
+
+Checks Telegram links found in the given files (.txt, .csv or .json; "-" or
+no file reads plain text from stdin) and writes the results to stdout.
+
+Options:
+  -f, --format <table|json|csv|ndjson>  output format (default: table)
+      --only <status[,status]>          only print valid, invalid, unknown or skipped results
+  -c, --concurrency <n>                 parallel single-link checks (default: CHECK_CONCURRENCY)
+      --column <name|number>            CSV column holding the links (default: every cell)
+  -h, --help                            show this help
+
+Exit codes: 0 all checked links valid, 1 some invalid, 2 some unknown (none
+invalid), 3 usage, input or checker error.`;
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = "CLI_USAGE";
+  return err;
+}
+
+/** Parses argv (without node and the script) into checked options and input paths. */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f", default: "table" },
+        only: { type: "string", multiple: true },
+        concurrency: { type: "string", short: "c" },
+        column: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (!OUTPUT_FORMATS.includes(values.format)) throw usageError(`--format must be one of ${OUTPUT_FORMATS.join(", ")}`);
+  const only = (values.only || []).flatMap((value) => value.split(",")).map((value) => value.trim().toLowerCase()).filter(Boolean);
+  const badStatus = only.find((status) => !ONLY_STATUSES.includes(status));
+  if (badStatus) throw usageError(`--only accepts ${ONLY_STATUSES.join(", ")} (got "${badStatus}")`);
+  let concurrency = null;
+  if (values.concurrency !== undefined) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw usageError("--concurrency must be a positive integer");
+  }
+  return {
+    format: values.format,
+    only: only.length > 0 ? new Set(only) : null,
+    concurrency,
+    column: values.column,
+    help: values.help,
+    files: positionals,
+  };
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    stream.on("error", reject);
+  });
+}
+
+/** Links from every input in order: files by extension, stdin as plain text. */
+async function readLinks(files, io, options) {
+  const links = [];
+  for (const file of files.length > 0 ? files : ["-"]) {
+    if (file === "-") {
+      links.push(...extractUrls(await readStream(io.stdin)));
+      continue;
+    }
+    const format = documentFormat(file) || "txt";
+    let content;
+    try {
+      content = fs.readFileSync(path.resolve(io.cwd || process.cwd(), file), "utf8");
+    } catch (err) {
+      throw usageError(`cannot read ${file}: ${err.code === "ENOENT" ? "no such file" : err.message}`);
+    }
+    try {
+      links.push(...extractLinksFromDocument(content, format, { column: options.column }));
+    } catch (err) {
+      throw usageError(`cannot parse ${file}: ${err.message}`);
+    }
+  }
+  return links;
+}
+
+/** Results rendered in `format`; the table is the bot's bulk output. */
+function formatResults(results, format) {
+  if (format === "table") return `${buildBulkLines(results).join("\n")}\n`;
+  return serializeResults(results, format);
+}
+
+/** 1 if any link is invalid, else 2 if any is unknown, else 0. Skipped links do not count. */
+function exitCodeFor(results) {
+  if (results.some((r) => r.status === "invalid")) return EXIT.invalid;
+  if (results.some((r) => r.status === "unknown")) return EXIT.unknown;
+  return EXIT.ok;
+}
+
+function stderrLog(stderr) {
+  return (level, msg, meta = {}) => {
+    if (level === "error") stderr.write(`${JSON.stringify({ ts: nowIso(), level, msg, ...meta })}\n`);
+  };
+}
+
+/**
+ * Runs the CLI and resolves to its exit code. `io` supplies stdin, stdout,
+ * stderr and env (the process ones by default) and, for tests, a ready
+ * `client`. BOT_TOKEN is not needed: the config is loaded without required keys.
+ */
+async function main(argv, io = {}) {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env } = io;
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (err) {
+    stderr.write(`telecheck: ${err.message}\n\n${USAGE}\n`);
+    return EXIT.error;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT.ok;
+  }
+
+  try {
+    let client = io.client;
+    if (!client) {
+      const config = loadConfig({ env, envFile: path.resolve(io.cwd || process.cwd(), ".env"), file: env.CONFIG_FILE || "", required: false });
+      client = new TeleCheckClient({
+        ...clientOptions(config),
+        ...(options.concurrency ? { concurrency: options.concurrency } : {}),
+        log: stderrLog(stderr),
+      });
+    }
+    const { checkable, skipped } = partitionLinks(deduplicateLinks(await readLinks(options.files, { ...io, stdin }, options)));
+    const checked = checkable.length > 0 ? await client.checkBulk(checkable) : [];
+    const results = [...checked, ...skipped];
+    const shown = options.only ? results.filter((r) => options.only.has(r.status)) : results;
+    stdout.write(formatResults(shown, options.format));
+    return exitCodeFor(results);
+  } catch (err) {
+    const detail = err.code === "CONFIG_INVALID" ? err.errors.map((e) => `\n  ${e.key} ${e.message}`).join("") : "";
+    stderr.write(`telecheck: ${err.message}${detail}\n`);
+    return EXIT.error;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { OUTPUT_FORMATS, EXIT, parseCliArgs, formatResults, exitCodeFor, main };
@@ -0,0 +1,329 @@
+"use strict";
+
+const axios = require("axios");
+const { normalizeResult } = require("./core");
+const { createResultCache } = require("./cache");
+const { createCheckerChain } = require("./checkers");
+const { parseRetryAfter, checkerUnavailableError, createCircuitBreaker, createLatencyTracker } = require("./resilience");
+const { cancelledError, throwIfCancelled, mapWithConcurrency } = require("./jobs");
+const { createMetricsRegistry } = require("./metrics");
+const { nowIso } = require("./log");
+
+const DEFAULT_OPTIONS = {
+  baseURL: "https://telecheck.vercel.app",
+  timeoutMs: 20000,
+  backends: "telecheck",
+  concurrency: 5,
+  batchSize: 100,
+  retryAttempts: 3,
+  retryBaseDelayMs: 400,
+  retryAfterMaxMs: 30000,
+  breakerFailureThreshold: 5,
+  breakerCooldownMs: 30000,
+  breakerHalfOpenProbes: 1,
+  latencyWindowSize: 200,
+};
+
+// Resolves after `ms`, or rejects with a JOB_CANCELLED error as soon as `signal` aborts.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function retryAfterMs(err) {
+  const headers = err?.response?.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+  return parseRetryAfter(value);
+}
+
+function isRetryableError(err) {
+  const status = err?.response?.status;
+  if (status === 429) return true;
+  if (typeof status === "number" && status >= 500) return true;
+  return Boolean(err?.code === "ECONNRESET" || err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT");
+}
+
+/**
+ * Link checking without Telegram: the checker chain, result cache, retries
+ * and per-backend circuit breakers behind `checkSingle` and `checkBulk`.
+ *
+ * `http` and `directHttp` are the transports for the TeleCheck API and for
+ * t.me pages (anything with axios-style `get`/`post`); `checkers` replaces the
+ * chain built from `backends` outright. `cache`, `metrics` and `log` default
+ * to an in-memory cache, a private registry and no logging.
+ */
+class TeleCheckClient {
+  #options;
+  #log;
+  #breakers = new Map();
+  #latency;
+  #checkers;
+  #linksChecked;
+  #apiDuration;
+  #apiRetries;
+  #bulkFallbacks;
+
+  constructor(options = {}) {
+    this.#options = { ...DEFAULT_OPTIONS, ...options };
+    this.#log = options.log || (() => {});
+    this.#latency = createLatencyTracker({ windowSize: this.#options.latencyWindowSize });
+    this.cache = options.cache || createResultCache();
+
+    const http = options.http || axios.create({ baseURL: this.#options.baseURL, timeout: this.#options.timeoutMs });
+    const directHttp =
+      options.directHttp ||
+      axios.create({
+        timeout: this.#options.timeoutMs,
+        maxContentLength: 2 * 1024 * 1024,
+        headers: { "User-Agent": "Mozilla/5.0 (compatible; telecheck-bot)" },
+      });
+    const retry = (action, label, retryOptions) => this.withRetry(action, label, retryOptions);
+    this.#checkers = options.checkers || createCheckerChain(this.#options.backends, { telecheckHttp: http, directHttp, retry });
+
+    const metrics = options.metrics || createMetricsRegistry({ prefix: "telecheck_" });
+    this.#linksChecked = metrics.counter("links_checked_total", "Link verdicts returned, by status and source.", ["status", "source"]);
+    this.#apiDuration = metrics.histogram("api_request_duration_seconds", "Upstream API call duration per attempt.", ["endpoint", "outcome"]);
+    this.#apiRetries = metrics.counter("api_retries_total", "Upstream API calls retried after a transient failure.", ["endpoint"]);
+    this.#bulkFallbacks = metrics.counter("bulk_fallbacks_total", "Bulk checks that fell back to per-link checks.", ["reason"]);
+    metrics.gauge("circuit_breaker_open", "1 while the backend circuit breaker is open.", ["backend"], () =>
+      [...this.#breakers.values()].map((breaker) => breaker.snapshot()).map((snap) => ({ labels: { backend: snap.name }, value: snap.state === "open" ? 1 : 0 }))
+    );
+    metrics.gauge("result_cache_entries", "Entries in the result cache.", [], () => [{ value: this.cache.stats().size }]);
+  }
+
+  /** Backend names in chain order, primary first. */
+  get backends() {
+    return this.#checkers.map((checker) => checker.name);
+  }
+
+  breakerFor(backend = "telecheck") {
+    if (!this.#breakers.has(backend)) {
+      this.#breakers.set(
+        backend,
+        createCircuitBreaker({
+          name: backend,
+          failureThreshold: this.#options.breakerFailureThreshold,
+          cooldownMs: this.#options.breakerCooldownMs,
+          halfOpenProbes: this.#options.breakerHalfOpenProbes,
+          onStateChange: (name, state) => this.#log(state === "open" ? "error" : "info", "circuit_breaker_state", { backend: name, state }),
+        })
+      );
+    }
+    return this.#breakers.get(backend);
+  }
+
+  /** Breaker snapshots for every backend in the chain, plus per-endpoint latency. */
+  upstreamStatus() {
+    return { breakers: this.backends.map((name) => this.breakerFor(name).snapshot()), latency: this.#latency.snapshot() };
+  }
+
+  /**
+   * Retries transient failures with exponential backoff (or the server's
+   * Retry-After), behind a per-backend circuit breaker. An open breaker fails
+   * fast with a CHECKER_UNAVAILABLE error. Every attempt feeds the latency tracker.
+   * Aborting `options.signal` also cuts a backoff wait short.
+   */
+  async withRetry(action, label, options = {}) {
+    const { retryAttempts, retryAfterMaxMs, retryBaseDelayMs } = this.#options;
+    const suppressStatuses = new Set(options.suppressStatuses || []);
+    const breaker = this.breakerFor(options.backend);
+    let lastErr;
+    for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+      const gate = breaker.tryAcquire();
+      if (!gate.allowed) throw checkerUnavailableError(options.backend || "telecheck", gate.retryInMs);
+      const started = Date.now();
+      try {
+        const result = await action();
+        this.#latency.record(label, Date.now() - started, true);
+        this.#apiDuration.observe({ endpoint: label, outcome: "success" }, (Date.now() - started) / 1000);
+        breaker.onSuccess();
+        return result;
+      } catch (err) {
+        lastErr = err;
+        if (options.signal?.aborted) {
+          breaker.release();
+          throw cancelledError();
+        }
+        const retryable = isRetryableError(err);
+        const status = err?.response?.status;
+        this.#latency.record(label, Date.now() - started, suppressStatuses.has(status));
+        this.#apiDuration.observe({ endpoint: label, outcome: suppressStatuses.has(status) ? "unsupported" : "error" }, (Date.now() - started) / 1000);
+        // Only a 4xx response proves the upstream is alive; no response at all, 429 and 5xx count against it.
+        if (!err?.response || status === 429 || status >= 500) breaker.onFailure();
+        else breaker.onSuccess();
+
+        const waitMs = retryable ? retryAfterMs(err) : null;
+        if (waitMs !== null && waitMs > retryAfterMaxMs) {
+          breaker.openFor(waitMs);
+          this.#log("error", "api_retry_after_exceeds_max", { label, status, retry_after_ms: waitMs });
+          throw checkerUnavailableError(options.backend || "telecheck", waitMs);
+        }
+        const canRetry = retryable && attempt < retryAttempts;
+        if (!suppressStatuses.has(status)) {
+          this.#log("error", "api_call_failed", {
+            label,
+            attempt,
+            retryable,
+            status,
+            code: err?.code,
+            message: err?.message,
+            retry_after_ms: waitMs ?? undefined,
+          });
+        }
+        if (!canRetry) break;
+        this.#apiRetries.inc({ endpoint: label });
+        await sleep(waitMs ?? retryBaseDelayMs * 2 ** (attempt - 1), options.signal);
+      }
+    }
+    throw lastErr;
+  }
+
+  /**
+   * Runs one link through the checker chain starting at `from`. Errors and
+   * "unknown" verdicts move on to the next backend; the first unknown result is
+   * kept in case no backend reaches a verdict.
+   */
+  async #fetchSingle(link, signal, from = 0) {
+    let lastErr;
+    let undecided;
+    for (const checker of this.#checkers.slice(from)) {
+      try {
+        const result = await checker.checkOne(link, { signal });
+        if (result.status !== "unknown") return { ...result, checkedAt: nowIso() };
+        undecided = undecided || result;
+      } catch (err) {
+        if (signal?.aborted) throw cancelledError();
+        lastErr = err;
+        if (this.#checkers.length > 1) this.#log("error", "checker_failed", { backend: checker.name, message: err.message });
+      }
+    }
+    if (undecided) return { ...undecided, checkedAt: nowIso() };
+    throw lastErr;
+  }
+
+  /** Checks one link, from the cache unless `options.fresh`. */
+  async checkSingle(link, options = {}) {
+    if (!options.fresh) {
+      const cached = this.cache.get(link);
+      if (cached) {
+        this.#linksChecked.inc({ status: cached.status, source: "cache" });
+        return cached;
+      }
+    }
+    const result = await this.#fetchSingle(link, options.signal);
+    this.cache.set(link, result);
+    this.#linksChecked.inc({ status: result.status, source: "upstream" });
+    return result;
+  }
+
+  async #checkBulkFallback(links, options = {}) {
+    const { signal, onProgress } = options;
+    return mapWithConcurrency(
+      links,
+      this.#options.concurrency,
+      async (link) => {
+        let result;
+        try {
+          result = await this.#fetchSingle(link, signal);
+          this.cache.set(link, result);
+        } catch (err) {
+          if (signal?.aborted) throw cancelledError();
+          result = { ...normalizeResult({ link, status: "unknown", reason: err?.message || "Check failed" }), checkedAt: nowIso() };
+        }
+        onProgress?.([result]);
+        return result;
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * Checks links through the cache, sending misses upstream in batches of
+   * `batchSize`. `options.onProgress(results)` fires as results arrive and
+   * `options.signal` aborts the run with a JOB_CANCELLED error.
+   */
+  async checkBulk(links, options = {}) {
+    const { batchSize } = this.#options;
+    const cached = links.map((link) => (options.fresh ? undefined : this.cache.get(link)));
+    const misses = links.filter((_, idx) => !cached[idx]);
+    const hits = cached.filter(Boolean);
+    for (const hit of hits) this.#linksChecked.inc({ status: hit.status, source: "cache" });
+    if (hits.length > 0) options.onProgress?.(hits);
+    if (misses.length === 0) return cached;
+
+    const fetched = [];
+    for (let i = 0; i < misses.length; i += batchSize) {
+      throwIfCancelled(options.signal);
+      fetched.push(...(await this.#checkBulkUpstream(misses.slice(i, i + batchSize), options)));
+    }
+    for (const result of fetched) this.#linksChecked.inc({ status: result.status, source: "upstream" });
+    let next = 0;
+    return cached.map((hit) => hit || fetched[next++]);
+  }
+
+  async #checkBulkUpstream(links, options = {}) {
+    const { signal } = options;
+    const checkers = this.#checkers;
+    const primary = checkers[0];
+    let rows = null;
+    if (primary.checkMany) {
+      try {
+        rows = await primary.checkMany(links, { signal });
+        if (!rows) {
+          this.#bulkFallbacks.inc({ reason: "unsupported_response" });
+          this.#log("info", "bulk_fallback_to_single", { reason: "bulk_payload_or_response_not_supported" });
+        }
+      } catch (err) {
+        if (signal?.aborted || err?.code === "JOB_CANCELLED") throw cancelledError();
+        if (err?.code === "CHECKER_UNAVAILABLE" && checkers.length === 1) throw err;
+        this.#bulkFallbacks.inc({ reason: "error" });
+        this.#log("error", "bulk_fallback_to_single", { message: err.message });
+      }
+    }
+    if (!rows) return this.#checkBulkFallback(links, options);
+
+    const checkedAt = nowIso();
+    const normalized = rows.map((row) => ({ ...row, checkedAt }));
+    if (checkers.length > 1) {
+      const undecided = normalized.map((r, idx) => (r.status === "unknown" ? idx : -1)).filter((idx) => idx >= 0);
+      await mapWithConcurrency(
+        undecided,
+        this.#options.concurrency,
+        async (idx) => {
+          try {
+            normalized[idx] = await this.#fetchSingle(normalized[idx].link, signal, 1);
+          } catch (err) {
+            if (err?.code === "JOB_CANCELLED") throw err;
+          }
+        },
+        { signal }
+      );
+    }
+    for (const result of normalized) this.cache.set(result.link, result);
+    options.onProgress?.(normalized);
+    return normalized;
+  }
+
+  /** Upstream totals from the first backend in the chain that reports them. */
+  async stats() {
+    const checker = this.#checkers.find((c) => c.stats);
+    if (!checker) throw new Error("No configured checker backend reports stats");
+    return checker.stats();
+  }
+}
+
+module.exports = { TeleCheckClient };
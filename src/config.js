@@ -0,0 +1,315 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { parseTiers } = require("./quota");
+const { LOCALES, resolveLocale } = require("./i18n");
+const { DIGEST_SCHEDULES } = require("./usage");
+const { CHECKER_BACKEND_NAMES } = require("./checkers");
+
+/*
+ * Every setting the bot reads, with its type, default and allowed range.
+ * Values come from (highest precedence first) the process environment, the
+ * .env file and an optional JSON config file; empty values fall through to
+ * the next source and finally to the default. Keys marked `reload` take
+ * effect on SIGHUP or /reload; the rest need a restart.
+ */
+
+const int = (min, max = Infinity) => ({ type: "integer", min, max });
+
+const CONFIG_SCHEMA = {
+  BOT_TOKEN: { type: "string", required: true, secret: true },
+  API_BASE_URL: { type: "url", default: "https://telecheck.vercel.app" },
+  REQUEST_TIMEOUT_MS: { ...int(1), default: 20000 },
+  CHECKER_BACKENDS: { type: "backends", default: "telecheck" },
+  DEFAULT_LANGUAGE: { type: "locale", default: "en" },
+
+  MAX_MESSAGE_CHARS: { ...int(1), default: 12000, reload: true },
+  MAX_LINKS_PER_BULK: { ...int(1), default: 300, reload: true },
+  REPLY_CHUNK_MAX_LEN: { ...int(100, 4096), default: 3500, reload: true },
+  MAX_DOCUMENT_BYTES: { ...int(1), default: 1024 * 1024, reload: true },
+  MAX_LINKS_PER_FILE: { ...int(1), default: 1000, reload: true },
+  FILE_OUTPUT_THRESHOLD: { ...int(0), default: 50, reload: true },
+  INLINE_MAX_LINKS: { ...int(1, 50), default: 10, reload: true },
+  INLINE_CACHE_TIME_SEC: { ...int(0), default: 30, reload: true },
+  INLINE_TIMEOUT_MS: { ...int(100), default: 5000, reload: true },
+
+  CHECK_CONCURRENCY: { ...int(1), default: 5 },
+  BULK_BATCH_SIZE: { ...int(1), default: 100 },
+  MAX_JOBS_PER_USER: { ...int(1), default: 2, reload: true },
+  BULK_SESSION_TTL_MS: { ...int(1000), default: 10 * 60 * 1000 },
+  PROGRESS_EDIT_INTERVAL_MS: { ...int(0), default: 2000 },
+
+  RETRY_ATTEMPTS: { ...int(1), default: 3 },
+  RETRY_BASE_DELAY_MS: { ...int(0), default: 400 },
+  RETRY_AFTER_MAX_MS: { ...int(0), default: 30000 },
+  BREAKER_FAILURE_THRESHOLD: { ...int(1), default: 5 },
+  BREAKER_COOLDOWN_MS: { ...int(0), default: 30000 },
+  BREAKER_HALF_OPEN_PROBES: { ...int(1), default: 1 },
+  LATENCY_WINDOW_SIZE: { ...int(1), default: 200 },
+
+  RATE_LIMIT_BURST: { ...int(1), default: 1000, reload: true },
+  RATE_LIMIT_REFILL_PER_MIN: { ...int(0), default: 100, reload: true },
+  MESSAGE_RATE_LIMIT_BURST: { ...int(1), default: 20, reload: true },
+  MESSAGE_RATE_LIMIT_REFILL_PER_MIN: { ...int(0), default: 20, reload: true },
+  QUOTA_TIERS: { type: "tiers", default: "default:1000/20000,trusted:10000/200000,admin:0/0", reload: true },
+  QUOTA_DEFAULT_TIER: { type: "name", default: "default", reload: true },
+
+  ALLOWED_CHAT_IDS: { type: "idList", default: "", reload: true },
+  ADMIN_USER_IDS: { type: "idList", default: "", reload: true },
+
+  AUTH_PASSWORD: { type: "string", default: "", secret: true },
+  AUTH_PASSWORD_HASH: { type: "string", default: "", secret: true },
+  AUTH_INVITE_ONLY: { type: "boolean", default: false },
+  AUTH_MAX_ATTEMPTS: { ...int(1), default: 5 },
+  AUTH_LOCKOUT_BASE_MS: { ...int(0), default: 60 * 1000 },
+  AUTH_LOCKOUT_MAX_MS: { ...int(0), default: 60 * 60 * 1000 },
+  AUTH_INVITE_TTL_MS: { ...int(1000), default: 24 * 60 * 60 * 1000, reload: true },
+
+  STORE_BACKEND: { type: "enum", values: ["json", "sqlite"], default: "json" },
+  STORE_FILE: { type: "string", default: (config) => (config.STORE_BACKEND === "sqlite" ? "./data/store.sqlite" : "./data/store.json") },
+  STORE_WRITE_DELAY_MS: { ...int(0), default: 1000 },
+  AUTH_STORE_FILE: { type: "string", default: "./data/auth-users.json" },
+  USER_PREFS_STORE_FILE: { type: "string", default: "./data/user-settings.json" },
+  GROUP_SETTINGS_STORE_FILE: { type: "string", default: "./data/group-settings.json" },
+  GROUP_SCAN_MAX_LINKS: { ...int(1), default: 20, reload: true },
+
+  CACHE_MAX_ENTRIES: { ...int(0), default: 5000 },
+  CACHE_TTL_VALID_MS: { ...int(0), default: 6 * 60 * 60 * 1000 },
+  CACHE_TTL_INVALID_MS: { ...int(0), default: 60 * 60 * 1000 },
+  CACHE_TTL_UNKNOWN_MS: { ...int(0), default: 5 * 60 * 1000 },
+  CACHE_STORE_FILE: { type: "string", default: "" },
+
+  WATCH_STORE_FILE: { type: "string", default: "./data/watchlist.json" },
+  WATCH_INTERVAL_MS: { ...int(0), default: 30 * 60 * 1000 },
+  WATCH_MAX_PER_USER: { ...int(1), default: 50, reload: true },
+  // Pause between watch batches so the scheduler never checks faster than one user at the rate limit.
+  WATCH_BATCH_DELAY_MS: {
+    ...int(0),
+    default: (config) => Math.ceil((config.MAX_LINKS_PER_BULK / Math.max(1, config.RATE_LIMIT_REFILL_PER_MIN)) * 60000),
+    reload: true,
+  },
+
+  HISTORY_MAX_JOBS: { ...int(0), default: 20 },
+  HISTORY_MAX_AGE_MS: { ...int(0), default: 30 * 24 * 60 * 60 * 1000 },
+  // Saved /list lists per user; each holds up to the smaller of MAX_LINKS_PER_BULK and RATE_LIMIT_BURST links.
+  LIST_MAX_PER_USER: { ...int(1), default: 20, reload: true },
+  USAGE_RETENTION_DAYS: { ...int(1), default: 90 },
+  DIGEST_SCHEDULE: { type: "enum", values: DIGEST_SCHEDULES, default: "off" },
+  DIGEST_CHAT_ID: { type: "string", default: "" },
+  DIGEST_HOUR_UTC: { ...int(0, 23), default: 9 },
+
+  WEBHOOK_DOMAIN: { type: "string", default: "" },
+  WEBHOOK_PATH: { type: "string", default: "/telegram/webhook" },
+  WEBHOOK_PORT: { ...int(1, 65535), default: (config, raw) => raw.PORT || 3000 },
+  WEBHOOK_SECRET_TOKEN: { type: "string", default: "", secret: true },
+  // Dedicated /metrics, /healthz and /readyz listener; in webhook mode the routes are also served by the webhook server.
+  METRICS_PORT: { ...int(0, 65535), default: 0 },
+  // REST API under /api/: served by the webhook server in webhook mode, otherwise on its own API_PORT.
+  API_ENABLED: { type: "boolean", default: false },
+  API_PORT: { ...int(1, 65535), default: 8081 },
+  API_JOB_TTL_MS: { ...int(1000), default: 60 * 60 * 1000 },
+};
+
+const RELOADABLE_KEYS = Object.keys(CONFIG_SCHEMA).filter((key) => CONFIG_SCHEMA[key].reload);
+
+// Settings that depend on each other; each returns an error message or null.
+const CROSS_CHECKS = [
+  ["QUOTA_DEFAULT_TIER", (c) => (c.QUOTA_TIERS[c.QUOTA_DEFAULT_TIER] ? null : `"${c.QUOTA_DEFAULT_TIER}" is not defined in QUOTA_TIERS`)],
+  ["DIGEST_CHAT_ID", (c) => (c.DIGEST_SCHEDULE !== "off" && !c.DIGEST_CHAT_ID ? "is required when DIGEST_SCHEDULE is set" : null)],
+  ["API_PORT", (c) => (c.API_ENABLED && !c.WEBHOOK_DOMAIN && c.API_PORT === c.METRICS_PORT ? "must differ from METRICS_PORT" : null)],
+];
+
+const PARSERS = {
+  string: (raw) => raw,
+  url(raw) {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw new Error("must be an http(s) URL");
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error("must be an http(s) URL");
+    return raw;
+  },
+  integer(raw, spec) {
+    if (!/^-?\d+$/.test(raw)) throw new Error(`must be a whole number, got "${raw}"`);
+    const value = Number(raw);
+    if (value < spec.min || value > spec.max) {
+      throw new Error(spec.max === Infinity ? `must be at least ${spec.min}, got ${value}` : `must be between ${spec.min} and ${spec.max}, got ${value}`);
+    }
+    return value;
+  },
+  boolean(raw) {
+    if (/^(1|true|yes|on)$/i.test(raw)) return true;
+    if (/^(0|false|no|off)$/i.test(raw)) return false;
+    throw new Error(`must be true or false, got "${raw}"`);
+  },
+  enum(raw, spec) {
+    const value = raw.toLowerCase();
+    if (!spec.values.includes(value)) throw new Error(`must be one of ${spec.values.join(", ")}, got "${raw}"`);
+    return value;
+  },
+  name: (raw) => raw.toLowerCase(),
+  idList(raw) {
+    const ids = raw
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+    const bad = ids.filter((v) => !/^-?\d+$/.test(v));
+    if (bad.length > 0) throw new Error(`must be comma-separated numeric ids, got "${bad.join(", ")}"`);
+    return new Set(ids.map(Number));
+  },
+  tiers: (raw) => parseTiers(raw),
+  backends(raw) {
+    const names = raw
+      .split(",")
+      .map((v) => v.trim().toLowerCase())
+      .filter(Boolean);
+    if (names.length === 0) throw new Error("must name at least one checker backend");
+    const unknown = names.filter((name) => !CHECKER_BACKEND_NAMES.includes(name));
+    if (unknown.length > 0) throw new Error(`unknown checker backend "${unknown.join(", ")}", use ${CHECKER_BACKEND_NAMES.join(", ")}`);
+    return names.join(",");
+  },
+  locale(raw) {
+    const locale = resolveLocale(raw);
+    if (!locale) throw new Error(`"${raw}" is not available, use one of ${LOCALES.join(", ")}`);
+    return locale;
+  },
+};
+
+function configError(errors) {
+  const err = new Error(`Invalid configuration:\n${errors.map((e) => `- ${e.key}: ${e.message}`).join("\n")}`);
+  err.code = "CONFIG_INVALID";
+  err.errors = errors;
+  return err;
+}
+
+function fileValue(value) {
+  if (Array.isArray(value)) return value.join(",");
+  if (["string", "number", "boolean"].includes(typeof value)) return String(value);
+  throw new Error("must be a string, number, boolean or list");
+}
+
+function readConfigFile(file, errors) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (err) {
+    errors.push({ key: "CONFIG_FILE", message: `cannot read ${file}: ${err.message}` });
+    return {};
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    errors.push({ key: "CONFIG_FILE", message: `${file} must contain a JSON object` });
+    return {};
+  }
+  const values = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (!CONFIG_SCHEMA[key]) errors.push({ key, message: `unknown key in ${file}` });
+    else if (value !== null) {
+      try {
+        values[key] = fileValue(value);
+      } catch (err) {
+        errors.push({ key, message: err.message });
+      }
+    }
+  }
+  return values;
+}
+
+function readEnvFile(file) {
+  try {
+    return dotenv.parse(fs.readFileSync(file));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+function defaultValue(key, config, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  const fallback = typeof spec.default === "function" ? spec.default(config, raw) : spec.default;
+  return typeof fallback === "string" && spec.type !== "string" ? PARSERS[spec.type](fallback, spec) : fallback;
+}
+
+/**
+ * Builds the typed config from `env` (the process environment), `envFile`
+ * (a .env path) and `file` (a JSON config path). Throws one CONFIG_INVALID
+ * error listing every bad key instead of stopping at the first.
+ * `required: false` lets required keys (BOT_TOKEN) be missing, for the CLI.
+ */
+function loadConfig(options = {}) {
+  const errors = [];
+  const sources = [options.env || {}, options.envFile ? readEnvFile(options.envFile) : {}, options.file ? readConfigFile(options.file, errors) : {}];
+  const raw = {};
+  for (const source of [...sources].reverse()) {
+    for (const [key, value] of Object.entries(source)) if (String(value ?? "").trim() !== "") raw[key] = String(value).trim();
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const value = raw[key];
+    if (value === undefined) {
+      if (spec.required && options.required !== false) errors.push({ key, message: "is required" });
+      try {
+        config[key] = defaultValue(key, config, raw);
+      } catch (err) {
+        errors.push({ key, message: `default ${err.message}` });
+      }
+      continue;
+    }
+    try {
+      config[key] = PARSERS[spec.type](value, spec);
+    } catch (err) {
+      errors.push({ key, message: err.message });
+    }
+  }
+  if (errors.length === 0) {
+    for (const [key, check] of CROSS_CHECKS) {
+      const message = check(config);
+      if (message) errors.push({ key, message });
+    }
+  }
+  if (errors.length > 0) throw configError(errors);
+  return Object.freeze(config);
+}
+
+/**
+ * A config for code that builds its settings itself (createBot in another
+ * program, tests): `values` are already typed, as loadConfig returns them,
+ * and every key they leave out gets its default. Nothing is validated.
+ */
+function withDefaults(values = {}) {
+  const config = {};
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    config[key] = values[key] !== undefined ? values[key] : defaultValue(key, config, {});
+  }
+  return Object.freeze(config);
+}
+
+function formatValue(value) {
+  if (value instanceof Set) return [...value].join(",");
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .map(([name, tier]) => `${name}:${tier.daily}/${tier.monthly}`)
+      .join(",");
+  }
+  return String(value);
+}
+
+/** `[key, shown value, reloadable]` rows for display, with secrets redacted. */
+function describeConfig(config) {
+  return Object.entries(CONFIG_SCHEMA).map(([key, spec]) => {
+    const text = formatValue(config[key]);
+    const shown = text === "" ? "(unset)" : spec.secret ? "(redacted)" : text;
+    return [key, shown, Boolean(spec.reload)];
+  });
+}
+
+/** Keys whose value differs between two configs. */
+function changedKeys(previous, next) {
+  return Object.keys(CONFIG_SCHEMA).filter((key) => formatValue(previous[key]) !== formatValue(next[key]));
+}
+
+module.exports = { CONFIG_SCHEMA, RELOADABLE_KEYS, loadConfig, withDefaults, describeConfig, changedKeys };
@@ -1,6 +1,31 @@
 "use strict";
 
-const URL_REGEX = /(https?:\/\/[^\s,]+|t\.me\/[^\s,]+)/g;
+const path = require("path");
+const { DEFAULT_LOCALE, createTranslator } = require("./i18n");
+
+const URL_REGEX = /(https?:\/\/[^\s,]+|tg:\/\/[^\s,]+|(?<![\w./@-])(?:t|telegram)\.(?:me|dog)\/[^\s,]+|(?<![\w@.])@\w{3,32})/gi;
+
+const TELEGRAM_HOSTS = new Set(["t.me", "telegram.me", "telegram.dog"]);
+// Collectible (Fragment) usernames may be 4 chars; regular ones are 5-32.
+const USERNAME_REGEX = /^[a-z][a-z0-9_]{2,30}[a-z0-9]$/i;
+const INVITE_HASH_REGEX = /^[\w-]{5,64}$/;
+const NON_ENTITY_PATHS = new Set([
+  "addemoji",
+  "addlist",
+  "addstickers",
+  "addtheme",
+  "bg",
+  "boost",
+  "confirmphone",
+  "contact",
+  "invoice",
+  "iv",
+  "login",
+  "proxy",
+  "setlanguage",
+  "share",
+  "socks",
+]);
 
 function pick(obj, keys) {
   if (!obj || typeof obj !== "object") return undefined;
@@ -18,12 +43,169 @@ function normalizeStatus(value) {
   return "unknown";
 }
 
+// Entity kinds a result can carry; "private" is a private invite link.
+const RESULT_KINDS = ["channel", "group", "bot", "user", "private"];
+const KIND_ALIASES = {
+  broadcast: "channel",
+  supergroup: "group",
+  megagroup: "group",
+  chat: "group",
+  person: "user",
+  invite: "private",
+  private_invite: "private",
+};
+
+function normalizeKind(value) {
+  if (!value) return null;
+  const s = String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (RESULT_KINDS.includes(s)) return s;
+  return KIND_ALIASES[s] || null;
+}
+
+function normalizeCount(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  const digits = String(value ?? "").replace(/[\s.,]/g, "");
+  return /^\d+$/.test(digits) ? Number(digits) : null;
+}
+
+function normalizeFlag(value) {
+  if (typeof value === "boolean") return value;
+  const s = String(value ?? "").toLowerCase();
+  if (["true", "1", "yes"].includes(s)) return true;
+  if (["false", "0", "no"].includes(s)) return false;
+  return null;
+}
+
+/**
+ * Maps an API row to `{ link, status, reason }` plus whichever of `kind`,
+ * `title`, `username`, `memberCount` and `verified` the row provides.
+ */
 function normalizeResult(item) {
   const link = pick(item, ["link", "url", "input", "username", "value"]) || "(unknown link)";
   const statusRaw = pick(item, ["status", "result", "state", "validity", "type"]);
-  const reason = pick(item, ["reason", "error", "message", "details"]);
+  const reason = pick(item, ["reason", "error", "message", "details", "failureReason", "failure_reason"]);
   const status = normalizeStatus(statusRaw);
-  return { link: String(link), status, reason: reason ? String(reason) : null };
+  const kind = normalizeKind(pick(item, ["kind", "entityType", "entity_type", "chatType", "chat_type", "type"]));
+  const title = pick(item, ["title", "name", "displayName", "display_name"]);
+  const username = pick(item, ["username", "handle"]);
+  const memberCount = normalizeCount(
+    pick(item, ["memberCount", "member_count", "members", "membersCount", "members_count", "subscribers", "subscriberCount", "subscriber_count", "participants_count"])
+  );
+  const verified = normalizeFlag(pick(item, ["verified", "isVerified", "is_verified"]));
+  return {
+    link: String(link),
+    status,
+    reason: reason ? String(reason) : null,
+    ...resultDetails({ kind, title: title ? String(title) : null, username: username ? String(username).replace(/^@/, "") : null, memberCount, verified }),
+  };
+}
+
+/** The optional metadata fields of a result, leaving out the ones that are absent. */
+function resultDetails(result) {
+  const details = {};
+  for (const key of ["kind", "title", "username", "memberCount", "verified"]) {
+    if (result?.[key] !== undefined && result[key] !== null) details[key] = result[key];
+  }
+  return details;
+}
+
+function skip(input, reason) {
+  return { ok: false, input, reason };
+}
+
+function usernameLink(input, username, postPath) {
+  if (!USERNAME_REGEX.test(username)) return skip(input, "malformed username");
+  const name = username.toLowerCase();
+  if (postPath) return { ok: true, input, kind: "message", canonical: `https://t.me/${name}/${postPath}`, username: name };
+  return { ok: true, input, kind: "username", canonical: `https://t.me/${name}`, username: name };
+}
+
+function inviteLink(input, hash) {
+  if (!INVITE_HASH_REGEX.test(hash || "")) return skip(input, "malformed invite link");
+  return { ok: true, input, kind: "invite", canonical: `https://t.me/+${hash}`, hash };
+}
+
+function privatePostLink(input, channelId, postPath) {
+  if (!/^\d+$/.test(channelId || "") || !postPath) return skip(input, "malformed message link");
+  return { ok: true, input, kind: "message", canonical: `https://t.me/c/${channelId}/${postPath}` };
+}
+
+function parseTgUri(input, url) {
+  const params = url.searchParams;
+  const action = url.hostname.toLowerCase();
+  if (action === "resolve") {
+    const domain = params.get("domain");
+    if (!domain) return skip(input, "unsupported Telegram link");
+    const post = params.get("post");
+    if (post && !/^\d+$/.test(post)) return skip(input, "malformed message link");
+    return usernameLink(input, domain, post);
+  }
+  if (action === "join") return inviteLink(input, params.get("invite"));
+  if (action === "privatepost") {
+    const post = params.get("post");
+    return privatePostLink(input, params.get("channel"), /^\d+$/.test(post || "") ? post : null);
+  }
+  return skip(input, "unsupported Telegram link");
+}
+
+function parseWebPath(input, segments) {
+  let [first, ...rest] = segments;
+  if (!first) return skip(input, "unsupported Telegram link");
+  // t.me/s/<name> is the web preview of the same entity.
+  if (first.toLowerCase() === "s" && rest.length > 0) [first, ...rest] = rest;
+
+  if (first.startsWith("+")) {
+    const hash = first.slice(1);
+    if (/^\d+$/.test(hash)) return skip(input, "phone number links are not checkable");
+    return inviteLink(input, hash);
+  }
+  const lower = first.toLowerCase();
+  if (lower === "joinchat") return inviteLink(input, rest[0]);
+  if (lower === "c") {
+    const post = rest.slice(1).every((p) => /^\d+$/.test(p)) ? rest.slice(1, 3).join("/") : "";
+    return privatePostLink(input, rest[0], post);
+  }
+  if (NON_ENTITY_PATHS.has(lower)) return skip(input, "unsupported Telegram link");
+
+  const postIds = rest.slice(0, 2);
+  if (postIds.some((p) => !/^\d+$/.test(p))) return skip(input, "malformed message link");
+  return usernameLink(input, first, postIds.join("/"));
+}
+
+/**
+ * Parses any supported Telegram link form (t.me / telegram.me / telegram.dog
+ * URLs, username.t.me, @username, tg:// URIs) into a canonical https://t.me link.
+ * Returns { ok: true, kind, canonical, ... } or { ok: false, reason }.
+ */
+function parseTelegramLink(value) {
+  const input = String(value ?? "").trim();
+  const cleaned = input.replace(/[.)\]}>!?;:'"]+$/, "");
+  if (!cleaned) return skip(input, "empty link");
+
+  if (cleaned.startsWith("@")) return usernameLink(input, cleaned.slice(1));
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(cleaned) ? cleaned : `https://${cleaned}`);
+  } catch {
+    return skip(input, "not a Telegram link");
+  }
+
+  if (url.protocol === "tg:") return parseTgUri(input, url);
+  if (url.protocol !== "https:" && url.protocol !== "http:") return skip(input, "not a Telegram link");
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  const segments = url.pathname.split("/").filter(Boolean);
+  if (TELEGRAM_HOSTS.has(host)) return parseWebPath(input, segments);
+
+  const subdomain = host.endsWith(".t.me") ? host.slice(0, -".t.me".length) : null;
+  if (subdomain && !subdomain.includes(".") && segments.length === 0) return usernameLink(input, subdomain);
+  return skip(input, "not a Telegram link");
+}
+
+function linkKey(link) {
+  const parsed = parseTelegramLink(link);
+  return parsed.ok ? parsed.canonical : parsed.input;
 }
 
 function extractUrls(text) {
@@ -34,13 +216,124 @@ function deduplicateLinks(links) {
   const seen = new Set();
   const unique = [];
   for (const link of links) {
-    if (seen.has(link)) continue;
-    seen.add(link);
+    const key = linkKey(link);
+    if (seen.has(key)) continue;
+    seen.add(key);
     unique.push(link);
   }
   return unique;
 }
 
+/**
+ * Splits raw links into canonical links that should go to the checker and
+ * locally produced "skipped" results for anything that is not a checkable
+ * Telegram link. Duplicates (by canonical form) are dropped.
+ */
+function partitionLinks(links) {
+  const checkable = [];
+  const skipped = [];
+  const seen = new Set();
+  for (const link of links) {
+    const parsed = parseTelegramLink(link);
+    const key = parsed.ok ? parsed.canonical : parsed.input;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (parsed.ok) checkable.push(parsed.canonical);
+    else skipped.push({ link: parsed.input, status: "skipped", reason: parsed.reason });
+  }
+  return { checkable, skipped };
+}
+
+function documentFormat(fileName, mimeType) {
+  const ext = path.extname(String(fileName || "")).toLowerCase();
+  if (ext === ".txt" || ext === ".csv" || ext === ".json") return ext.slice(1);
+  const mime = String(mimeType || "").toLowerCase();
+  if (mime === "text/plain") return "txt";
+  if (mime === "text/csv") return "csv";
+  if (mime === "application/json") return "json";
+  return null;
+}
+
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+function parseCsv(text, delimiter = detectCsvDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+      continue;
+    }
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+function csvColumnIndex(header, column) {
+  const asNumber = Number(column);
+  if (Number.isInteger(asNumber) && asNumber >= 1) return { index: asNumber - 1, hasHeader: false };
+  const wanted = String(column).trim().toLowerCase();
+  const index = header.findIndex((h) => h.trim().toLowerCase() === wanted);
+  if (index === -1) throw new Error(`Column not found: ${column}`);
+  return { index, hasHeader: true };
+}
+
+function collectStrings(value, out = []) {
+  if (typeof value === "string") out.push(value);
+  else if (Array.isArray(value)) for (const item of value) collectStrings(item, out);
+  else if (value && typeof value === "object") for (const item of Object.values(value)) collectStrings(item, out);
+  return out;
+}
+
+/**
+ * Extracts raw links from an uploaded document. `column` (CSV only) is a
+ * header name or 1-based column number; without it every cell is scanned.
+ */
+function extractLinksFromDocument(content, format, options = {}) {
+  const text = String(content).replace(/^\uFEFF/, "");
+  if (format === "json") {
+    return collectStrings(JSON.parse(text)).flatMap((value) => extractUrls(value));
+  }
+  if (format === "csv") {
+    const rows = parseCsv(text);
+    if (options.column === undefined || options.column === null || options.column === "") {
+      return rows.flat().flatMap((cell) => extractUrls(cell));
+    }
+    const { index, hasHeader } = csvColumnIndex(rows[0] || [], options.column);
+    return rows
+      .slice(hasHeader ? 1 : 0)
+      .map((r) => r[index] || "")
+      .flatMap((cell) => extractUrls(cell));
+  }
+  return extractUrls(text);
+}
+
 function extractBulkRows(data, requestedLinks) {
   if (Array.isArray(data)) return data;
   if (Array.isArray(data?.results)) return data.results;
@@ -52,9 +345,11 @@ function extractBulkRows(data, requestedLinks) {
   const unknownList = Array.isArray(data?.unknown) ? data.unknown : null;
   if (validList || invalidList || unknownList) {
     const rows = [];
-    for (const link of validList || []) rows.push({ link, status: "valid" });
-    for (const link of invalidList || []) rows.push({ link, status: "invalid" });
-    for (const link of unknownList || []) rows.push({ link, status: "unknown" });
+    // Entries are bare links or objects with the link and its metadata.
+    const row = (entry, status) => (entry && typeof entry === "object" ? { ...entry, status } : { link: entry, status });
+    for (const entry of validList || []) rows.push(row(entry, "valid"));
+    for (const entry of invalidList || []) rows.push(row(entry, "invalid"));
+    for (const entry of unknownList || []) rows.push(row(entry, "unknown"));
     if (rows.length > 0) return rows;
   }
 
@@ -73,33 +368,124 @@ function extractBulkRows(data, requestedLinks) {
   return null;
 }
 
-function orderResults(results) {
-  const rank = { valid: 0, invalid: 1, unknown: 2 };
+const SORT_ORDERS = ["status", "input", "alpha"];
+const DETAIL_LEVELS = ["detailed", "compact"];
+const STATUS_ICONS = { valid: "[V]", invalid: "[X]", unknown: "[?]", skipped: "[-]" };
+
+/** Orders results by status (valid first), as given ("input") or by link ("alpha"). */
+function orderResults(results, sort = "status") {
+  if (sort === "input") return [...results];
+  if (sort === "alpha") return [...results].sort((a, b) => a.link.localeCompare(b.link));
+  const rank = { valid: 0, invalid: 1, unknown: 2, skipped: 3 };
   return [...results].sort((a, b) => (rank[a.status] ?? 99) - (rank[b.status] ?? 99));
 }
 
-function buildBulkLines(results, options = {}) {
+function countStatuses(results) {
+  const counts = { valid: 0, invalid: 0, unknown: 0, skipped: 0 };
+  for (const r of results) if (r.status in counts) counts[r.status]++;
+  return counts;
+}
+
+/**
+ * Summary lines for a finished check; `options.t` is the reader's translator
+ * (English by default). Compact output (`options.detail`) fits on one line.
+ */
+function buildBulkSummary(results, options = {}) {
   const showInvalid = options.showInvalid !== false;
-  const summary = {
-    valid: results.filter((r) => r.status === "valid").length,
-    invalid: results.filter((r) => r.status === "invalid").length,
-    unknown: results.filter((r) => r.status === "unknown").length,
-  };
-  const ordered = orderResults(results).filter((r) => showInvalid || r.status !== "invalid");
-  const invalidSummary = showInvalid ? `Invalid: ${summary.invalid}` : `Invalid: ${summary.invalid} (hidden)`;
+  const t = options.t || createTranslator(DEFAULT_LOCALE);
+  const summary = countStatuses(results);
+  if (options.detail === "compact") {
+    const skipped = summary.skipped > 0 ? ` | ${t("summary.compact_skipped", { count: summary.skipped })}` : "";
+    return [`${t("summary.compact", { count: results.length, ...summary })}${skipped}`];
+  }
   return [
-    `Done. Total: ${results.length}`,
-    `Valid: ${summary.valid}`,
-    invalidSummary,
-    `Unknown: ${summary.unknown}`,
-    "",
-    ...ordered.map((r) => {
-      const icon = r.status === "valid" ? "[V]" : r.status === "invalid" ? "[X]" : "[?]";
-      return `${icon} ${r.link}`;
-    }),
+    t("summary.done", { count: results.length }),
+    t("summary.valid", { count: summary.valid }),
+    t(showInvalid ? "summary.invalid" : "summary.invalid_hidden", { count: summary.invalid }),
+    t("summary.unknown", { count: summary.unknown }),
+    ...(summary.skipped > 0 ? [t("summary.skipped", { count: summary.skipped })] : []),
   ];
 }
 
+function resultLine(r, detail) {
+  const icon = STATUS_ICONS[r.status] || STATUS_ICONS.unknown;
+  if (detail === "compact") return `${icon} ${r.link}`;
+  const title = r.status === "valid" && r.title ? ` - ${r.title}` : "";
+  return `${icon} ${r.link}${title}${r.reason ? ` (${r.reason})` : ""}`;
+}
+
+/**
+ * Summary plus one line per result, ordered by `options.sort`. Detailed output
+ * (the default) adds titles of valid links and each result's reason; compact
+ * output leaves both out. `options.group` puts the lines under one heading
+ * per entity kind, with results of no known kind last.
+ */
+function buildBulkLines(results, options = {}) {
+  const showInvalid = options.showInvalid !== false;
+  const t = options.t || createTranslator(DEFAULT_LOCALE);
+  const ordered = orderResults(results, options.sort).filter((r) => showInvalid || r.status !== "invalid");
+  const lines = [...buildBulkSummary(results, options), ""];
+  if (!options.group) return [...lines, ...ordered.map((r) => resultLine(r, options.detail))];
+  for (const kind of [...RESULT_KINDS, null]) {
+    const members = ordered.filter((r) => (RESULT_KINDS.includes(r.kind) ? r.kind : null) === kind);
+    if (members.length === 0) continue;
+    if (lines[lines.length - 1] !== "") lines.push("");
+    lines.push(t(`kind_group.${kind || "other"}`, { count: members.length }));
+    lines.push(...members.map((r) => resultLine(r, options.detail)));
+  }
+  return lines;
+}
+
+/**
+ * Status changes between two runs over the same links, matched by canonical
+ * link. Links missing from either run are ignored.
+ */
+function diffResults(previous, current) {
+  const before = new Map(previous.map((r) => [linkKey(r.link), r]));
+  const changes = [];
+  for (const r of current) {
+    const old = before.get(linkKey(r.link));
+    if (old && old.status !== r.status) changes.push({ link: r.link, previous: old.status, current: r.status });
+  }
+  return changes;
+}
+
+const EXPORT_FORMATS = ["csv", "json", "txt"];
+
+function exportRows(results) {
+  return orderResults(results).map((r) => ({
+    link: r.link,
+    status: r.status,
+    reason: r.reason || null,
+    checkedAt: r.checkedAt || null,
+  }));
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes check results for file export. Every row carries link, status,
+ * reason and check timestamp; rows are ordered like the chat output.
+ * Besides EXPORT_FORMATS, "ndjson" writes one JSON row per line (the CLI).
+ */
+function serializeResults(results, format) {
+  const rows = exportRows(results);
+  if (format === "json") return `${JSON.stringify(rows, null, 2)}\n`;
+  if (format === "ndjson") return rows.map((r) => `${JSON.stringify(r)}\n`).join("");
+  if (format === "txt") {
+    return rows.map((r) => [r.status, r.link, r.reason || "", r.checkedAt || ""].join("\t").trimEnd()).join("\n") + "\n";
+  }
+  if (format === "csv") {
+    const lines = [["link", "status", "reason", "checked_at"].join(",")];
+    for (const r of rows) lines.push([r.link, r.status, r.reason, r.checkedAt].map(csvCell).join(","));
+    return `${lines.join("\r\n")}\r\n`;
+  }
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
 function chunkLines(lines, maxLen = 3500) {
   const chunks = [];
   let current = "";
@@ -120,11 +506,26 @@ module.exports = {
   URL_REGEX,
   pick,
   normalizeStatus,
+  RESULT_KINDS,
   normalizeResult,
+  resultDetails,
+  parseTelegramLink,
+  linkKey,
   extractUrls,
   deduplicateLinks,
+  partitionLinks,
+  documentFormat,
+  parseCsv,
+  extractLinksFromDocument,
   extractBulkRows,
+  SORT_ORDERS,
+  DETAIL_LEVELS,
   orderResults,
+  countStatuses,
+  buildBulkSummary,
   buildBulkLines,
+  diffResults,
+  EXPORT_FORMATS,
+  serializeResults,
   chunkLines,
 };
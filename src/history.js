@@ -0,0 +1,78 @@
+"use strict";
+
+const { countStatuses, resultDetails } = require("./core");
+const { createKeyedQueue } = require("./storage");
+
+/**
+ * Per-user log of completed check jobs, kept in the store's "history"
+ * namespace as `{ nextId, jobs }` per user (newest job last). Jobs beyond
+ * `maxJobs` or older than `maxAgeMs` are pruned on every read and write.
+ * Updates for one user are chained so concurrent records never drop a job.
+ */
+function createHistory(options = {}) {
+  const { store } = options;
+  const maxJobs = Math.max(0, Number(options.maxJobs ?? 20));
+  const maxAgeMs = Number(options.maxAgeMs ?? 30 * 24 * 60 * 60 * 1000);
+  const queue = createKeyedQueue();
+  const withUser = (userId, fn) => queue(String(Number(userId)), fn);
+
+  function prune(jobs, now) {
+    const fresh = maxAgeMs > 0 ? jobs.filter((job) => now - Date.parse(job.at) <= maxAgeMs) : jobs;
+    return maxJobs > 0 ? fresh.slice(-maxJobs) : [];
+  }
+
+  async function read(key, now) {
+    const saved = await store.get("history", key);
+    const jobs = Array.isArray(saved?.jobs) ? saved.jobs : [];
+    return { nextId: Number(saved?.nextId) || 1, jobs: prune(jobs, now) };
+  }
+
+  function record(userId, job, now = Date.now()) {
+    if (maxJobs === 0) return Promise.resolve(null);
+    return withUser(userId, async (key) => {
+      const entry = await read(key, now);
+      const results = job.results.map((r) => ({
+        link: r.link,
+        status: r.status,
+        reason: r.reason || null,
+        checkedAt: r.checkedAt || null,
+        ...resultDetails(r),
+      }));
+      const saved = {
+        id: entry.nextId,
+        at: new Date(now).toISOString(),
+        kind: job.kind,
+        ...(job.rerunOf ? { rerunOf: job.rerunOf } : {}),
+        total: results.length,
+        summary: countStatuses(results),
+        results,
+      };
+      await store.set("history", key, { nextId: entry.nextId + 1, jobs: prune([...entry.jobs, saved], now) });
+      return saved;
+    });
+  }
+
+  async function list(userId, now = Date.now()) {
+    const { jobs } = await read(String(Number(userId)), now);
+    return [...jobs].reverse();
+  }
+
+  async function get(userId, jobId, now = Date.now()) {
+    const { jobs } = await read(String(Number(userId)), now);
+    return jobs.find((job) => job.id === Number(jobId)) || null;
+  }
+
+  function clear(userId) {
+    return withUser(userId, async (key) => {
+      const saved = await store.get("history", key);
+      const count = Array.isArray(saved?.jobs) ? saved.jobs.length : 0;
+      // Keep nextId so cleared job ids are never reused.
+      if (saved) await store.set("history", key, { nextId: Number(saved.nextId) || 1, jobs: [] });
+      return count;
+    });
+  }
+
+  return { record, list, get, clear, maxJobs, maxAgeMs };
+}
+
+module.exports = { createHistory };
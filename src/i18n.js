@@ -0,0 +1,79 @@
+"use strict";
+
+/*
+ * Message catalogs live in src/locales/<code>.json as flat `key -> entry` maps.
+ * An entry is either a string or, for messages that depend on a count, an
+ * object keyed by Intl.PluralRules category ("one", "few", "many", "other").
+ * `{name}` placeholders are filled from the params passed to `t(key, params)`;
+ * plural entries pick their form from `params.count`.
+ */
+
+const CATALOGS = {
+  en: require("./locales/en.json"),
+  ru: require("./locales/ru.json"),
+};
+const DEFAULT_LOCALE = "en";
+const LOCALES = Object.keys(CATALOGS);
+const pluralRules = new Map();
+
+function pluralCategories(locale) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale);
+}
+
+/** Maps a Telegram `language_code` such as "ru" or "en-GB" to a shipped locale, or null. */
+function resolveLocale(code) {
+  const lower = String(code || "").trim().toLowerCase().replace(/_/g, "-");
+  if (CATALOGS[lower]) return lower;
+  const base = lower.split("-")[0];
+  return CATALOGS[base] ? base : null;
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Renders `key` in `locale`. Keys missing from the locale fall back to
+ * English, and keys missing from English render as the key itself.
+ */
+function translate(locale, key, params = {}) {
+  const source = CATALOGS[locale]?.[key] !== undefined ? locale : DEFAULT_LOCALE;
+  const entry = CATALOGS[source][key];
+  if (entry === undefined) return key;
+  if (typeof entry === "string") return interpolate(entry, params);
+  const category = pluralCategories(source).select(Number(params.count) || 0);
+  return interpolate(entry[category] ?? entry.other, params);
+}
+
+function createTranslator(locale) {
+  const resolved = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  const t = (key, params) => translate(resolved, key, params);
+  t.locale = resolved;
+  return t;
+}
+
+/** Every locale's rendering of `key`, e.g. for matching reply-keyboard buttons. */
+function translations(key, params) {
+  return LOCALES.map((locale) => translate(locale, key, params));
+}
+
+/**
+ * English keys the locale's catalog lacks. Plural entries also need every
+ * plural category the locale uses, reported as `key#category`.
+ */
+function missingKeys(locale) {
+  const catalog = CATALOGS[locale] || {};
+  const categories = pluralCategories(locale).resolvedOptions().pluralCategories;
+  const missing = [];
+  for (const [key, entry] of Object.entries(CATALOGS[DEFAULT_LOCALE])) {
+    const own = catalog[key];
+    if (own === undefined) missing.push(key);
+    else if (typeof entry !== "string") {
+      for (const category of categories) if (typeof own !== "object" || own[category] === undefined) missing.push(`${key}#${category}`);
+    }
+  }
+  return missing;
+}
+
+module.exports = { CATALOGS, DEFAULT_LOCALE, LOCALES, resolveLocale, translate, createTranslator, translations, missingKeys };
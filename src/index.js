@@ -0,0 +1,11 @@
+"use strict";
+
+// Library entry point. src/bot.js is the runnable bot built on the same pieces.
+const { createBot } = require("./app");
+const { TeleCheckClient } = require("./client");
+const { loadConfig, withDefaults } = require("./config");
+const { createFakeChecker } = require("./checkers");
+const { createStore } = require("./storage");
+const { normalizeResult, parseTelegramLink } = require("./core");
+
+module.exports = { createBot, TeleCheckClient, loadConfig, withDefaults, createFakeChecker, createStore, normalizeResult, parseTelegramLink };
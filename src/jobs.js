@@ -0,0 +1,96 @@
+"use strict";
+
+function cancelledError() {
+  const err = new Error("Job cancelled");
+  err.code = "JOB_CANCELLED";
+  return err;
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw cancelledError();
+}
+
+/**
+ * Maps `items` through async `fn` with at most `limit` calls in flight.
+ * Results keep input order. The first rejection (or an aborted `signal`)
+ * stops new items from starting and rejects the whole run.
+ */
+async function mapWithConcurrency(items, limit, fn, options = {}) {
+  const results = new Array(items.length);
+  const width = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      throwIfCancelled(options.signal);
+      const idx = next++;
+      try {
+        results[idx] = await fn(items[idx], idx);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: width }, worker));
+  throwIfCancelled(options.signal);
+  return results;
+}
+
+/**
+ * Tracks running bulk jobs per user so they can be listed, capped and
+ * cancelled. Each job owns an AbortController whose signal is threaded
+ * through the checker.
+ */
+function createJobRegistry(options = {}) {
+  let maxPerUser = Number(options.maxPerUser ?? 2);
+  const jobs = new Map();
+  let nextId = 1;
+
+  function listFor(userId) {
+    return [...jobs.values()].filter((job) => job.userId === Number(userId));
+  }
+
+  function start(userId, meta = {}) {
+    if (listFor(userId).length >= maxPerUser) return null;
+    const controller = new AbortController();
+    const job = { ...meta, id: nextId++, userId: Number(userId), startedAt: Date.now(), controller, signal: controller.signal };
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  function finish(jobId) {
+    jobs.delete(jobId);
+  }
+
+  function cancel(userId, jobId) {
+    const targets = listFor(userId).filter((job) => jobId === undefined || job.id === Number(jobId));
+    for (const job of targets) job.controller.abort();
+    return targets;
+  }
+
+  function activeCount() {
+    return jobs.size;
+  }
+
+  // A lower limit only affects new jobs; running ones are left to finish.
+  function setMaxPerUser(value) {
+    maxPerUser = Number(value);
+  }
+
+  return {
+    start,
+    finish,
+    cancel,
+    listFor,
+    activeCount,
+    setMaxPerUser,
+    get maxPerUser() {
+      return maxPerUser;
+    },
+  };
+}
+
+module.exports = { cancelledError, throwIfCancelled, mapWithConcurrency, createJobRegistry };
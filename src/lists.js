@@ -0,0 +1,171 @@
+"use strict";
+
+const { diffResults } = require("./core");
+const { createKeyedQueue } = require("./storage");
+
+const LIST_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/** Lowercased list name, or null unless it is 1-32 letters, digits, `_` or `-`. */
+function normalizeListName(name) {
+  const normalized = String(name || "").trim().toLowerCase();
+  return LIST_NAME_REGEX.test(normalized) ? normalized : null;
+}
+
+/**
+ * Per-user named link lists, kept in the store's "lists" namespace as
+ * `{ lists: { [name]: { links, createdAt, updatedAt, lastRun } } }` per user.
+ * Links are canonical; `lastRun` holds the link statuses of the latest
+ * `/list check` so the next run can report what changed. Users get at most
+ * `maxLists` lists of at most `maxLinks` links each. Updates for one user run
+ * one at a time.
+ */
+function createLinkLists(options = {}) {
+  const { store } = options;
+  let maxLists = Number(options.maxLists ?? 20);
+  let maxLinks = Number(options.maxLinks ?? 1000);
+  const queue = createKeyedQueue();
+  const withUser = (userId, fn) => queue(String(Number(userId)), fn);
+
+  async function read(key) {
+    const saved = await store.get("lists", key);
+    return saved?.lists && typeof saved.lists === "object" ? { ...saved.lists } : {};
+  }
+
+  async function write(key, lists) {
+    if (Object.keys(lists).length === 0) await store.delete("lists", key);
+    else await store.set("lists", key, { lists });
+  }
+
+  /** Name, size and timestamps of every list, by name. */
+  async function names(userId) {
+    const lists = await read(String(Number(userId)));
+    return Object.entries(lists)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, list]) => ({ name, count: list.links.length, updatedAt: list.updatedAt, lastRunAt: list.lastRun?.at || null }));
+  }
+
+  async function get(userId, name) {
+    const lists = await read(String(Number(userId)));
+    return lists[name] ? { name, ...lists[name] } : null;
+  }
+
+  /**
+   * Creates or replaces a list. Resolves to `{ list, created, overLimit }`, or
+   * null when the user already has `maxLists` other lists. A replaced list
+   * keeps its last run, so the next check still reports changes.
+   */
+  function save(userId, name, links, now = Date.now()) {
+    return withUser(userId, async (key) => {
+      const lists = await read(key);
+      const existing = lists[name];
+      if (!existing && Object.keys(lists).length >= maxLists) return null;
+      const at = new Date(now).toISOString();
+      lists[name] = { links: links.slice(0, maxLinks), createdAt: existing?.createdAt || at, updatedAt: at, lastRun: existing?.lastRun || null };
+      await write(key, lists);
+      return { list: { name, ...lists[name] }, created: !existing, overLimit: Math.max(0, links.length - maxLinks) };
+    });
+  }
+
+  /** Adds links missing from the list; null when there is no such list. */
+  function addLinks(userId, name, links, now = Date.now()) {
+    return withUser(userId, async (key) => {
+      const lists = await read(key);
+      const list = lists[name];
+      if (!list) return null;
+      const present = new Set(list.links);
+      const added = [];
+      let existing = 0;
+      let overLimit = 0;
+      for (const link of links) {
+        if (present.has(link)) existing++;
+        else if (present.size >= maxLinks) overLimit++;
+        else {
+          present.add(link);
+          added.push(link);
+        }
+      }
+      lists[name] = { ...list, links: [...list.links, ...added], updatedAt: new Date(now).toISOString() };
+      await write(key, lists);
+      return { added: added.length, existing, overLimit, total: lists[name].links.length };
+    });
+  }
+
+  /** Drops the given links from the list; null when there is no such list. */
+  function removeLinks(userId, name, links, now = Date.now()) {
+    return withUser(userId, async (key) => {
+      const lists = await read(key);
+      const list = lists[name];
+      if (!list) return null;
+      const dropped = new Set(links);
+      const kept = list.links.filter((link) => !dropped.has(link));
+      lists[name] = { ...list, links: kept, updatedAt: new Date(now).toISOString() };
+      await write(key, lists);
+      return { removed: list.links.length - kept.length, total: kept.length };
+    });
+  }
+
+  function deleteList(userId, name) {
+    return withUser(userId, async (key) => {
+      const lists = await read(key);
+      if (!lists[name]) return false;
+      delete lists[name];
+      await write(key, lists);
+      return true;
+    });
+  }
+
+  /**
+   * Stores `results` as the list's latest run and resolves to the run before
+   * it (`{ at, results }`, null on the first run). Does nothing for a list
+   * deleted while it was being checked.
+   */
+  function recordRun(userId, name, results, now = Date.now()) {
+    return withUser(userId, async (key) => {
+      const lists = await read(key);
+      const list = lists[name];
+      if (!list) return null;
+      const run = { at: new Date(now).toISOString(), results: results.map((r) => ({ link: r.link, status: r.status })) };
+      lists[name] = { ...list, lastRun: run };
+      await write(key, lists);
+      return list.lastRun || null;
+    });
+  }
+
+  // Lower limits only affect new saves and additions; existing lists are kept whole.
+  function setLimits(limits) {
+    if (limits.maxLists !== undefined) maxLists = Number(limits.maxLists);
+    if (limits.maxLinks !== undefined) maxLinks = Number(limits.maxLinks);
+  }
+
+  return {
+    names,
+    get,
+    save,
+    addLinks,
+    removeLinks,
+    deleteList,
+    recordRun,
+    setLimits,
+    get maxLists() {
+      return maxLists;
+    },
+    get maxLinks() {
+      return maxLinks;
+    },
+  };
+}
+
+/**
+ * Status changes from `previous` to `current` worth highlighting: links that
+ * went invalid ("newly dead") and invalid links that came back valid
+ * ("revived"). Links new to the list have no previous status and are left out.
+ */
+function listRunChanges(previous, current) {
+  const changes = diffResults(previous, current);
+  return {
+    dead: changes.filter((c) => c.current === "invalid"),
+    revived: changes.filter((c) => c.previous === "invalid" && c.current === "valid"),
+  };
+}
+
+module.exports = { normalizeListName, createLinkLists, listRunChanges };
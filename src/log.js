@@ -0,0 +1,15 @@
+"use strict";
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+/** One JSON line per event: errors to stderr, everything else to stdout. */
+function log(level, msg, meta = {}) {
+  const payload = { ts: nowIso(), level, msg, ...meta };
+  const line = JSON.stringify(payload);
+  if (level === "error") console.error(line);
+  else console.log(line);
+}
+
+module.exports = { nowIso, log };
@@ -0,0 +1,148 @@
+"use strict";
+
+const http = require("http");
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, idx) => `${name}="${escapeLabel(values[idx])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/**
+ * Minimal Prometheus registry: counters, gauges and histograms with fixed
+ * label names, rendered in the text exposition format. Gauges may take a
+ * `collect()` callback returning `[{ labels, value }]` that is read on render.
+ */
+function createMetricsRegistry(options = {}) {
+  const prefix = options.prefix || "";
+  const metrics = [];
+
+  function register(type, name, help, labelNames = []) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const key = labelKey(metric.labelNames, labels);
+    if (!metric.series.has(key)) metric.series.set(key, { values: JSON.parse(key), ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, labelNames) {
+    const metric = register("counter", name, help, labelNames);
+    return {
+      inc(labels, value = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  function gauge(name, help, labelNames, collect) {
+    const metric = register("gauge", name, help, labelNames);
+    metric.collect = collect;
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    const metric = register("histogram", name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((le, idx) => {
+          if (value <= le) series.counts[idx]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (metric.collect) {
+      for (const { labels, value } of metric.collect() || []) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      }
+    }
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((le, idx) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, `le="${le}"`)} ${series.counts[idx]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    }
+    return lines.join("\n");
+  }
+
+  function render() {
+    return `${metrics.map(renderMetric).join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Request listener for `/metrics`, `/healthz` and `/readyz`. `health()` returns
+ * `{ live, ready, checks }`; liveness and readiness answer 200 or 503. Other
+ * paths go to `next(req, res)` (404 by default) so the routes can sit in front
+ * of another server such as the webhook.
+ */
+function createStatusHandler({ registry, health }) {
+  return (req, res, next) => {
+    const pathname = String(req.url || "").split("?")[0];
+    if (req.method === "GET" && pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(registry.render());
+      return;
+    }
+    if (req.method === "GET" && (pathname === "/healthz" || pathname === "/readyz")) {
+      const status = health();
+      const ok = pathname === "/healthz" ? status.live : status.ready;
+      sendJson(res, ok ? 200 : 503, { ok, ...status });
+      return;
+    }
+    if (next) {
+      next(req, res);
+      return;
+    }
+    sendJson(res, 404, { error: "Not found" });
+  };
+}
+
+function createStatusServer(options) {
+  return http.createServer(createStatusHandler(options));
+}
+
+module.exports = { createMetricsRegistry, createStatusHandler, createStatusServer };
@@ -0,0 +1,65 @@
+"use strict";
+
+const http = require("http");
+const { createFakeChecker } = require("./checkers");
+const { log } = require("./log");
+
+/**
+ * Local stand-in for the TeleCheck HTTP API, backed by the fake checker.
+ * Serves GET /?link=, POST / ({ links: [...] }) and GET /stats so the bot can
+ * run offline with API_BASE_URL pointing here.
+ */
+function createMockServer(options = {}) {
+  const checker = options.checker || createFakeChecker();
+
+  function send(res, status, body) {
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  async function readJson(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString("utf8");
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method === "GET" && url.pathname === "/stats") {
+        send(res, 200, await checker.stats());
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/") {
+        const link = url.searchParams.get("link");
+        if (!link) {
+          send(res, 400, { error: "Missing link" });
+          return;
+        }
+        send(res, 200, await checker.checkOne(link));
+        return;
+      }
+      if (req.method === "POST" && url.pathname === "/") {
+        const body = await readJson(req);
+        const links = Array.isArray(body?.links) ? body.links : null;
+        if (!links) {
+          send(res, 400, { error: "Expected { links: [...] }" });
+          return;
+        }
+        send(res, 200, { results: await checker.checkMany(links) });
+        return;
+      }
+      send(res, 404, { error: "Not found" });
+    } catch (err) {
+      send(res, 500, { error: err.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_PORT || 8787);
+  createMockServer().listen(port, () => log("info", "mock_server_started", { port }));
+}
+
+module.exports = { createMockServer };
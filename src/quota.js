@@ -0,0 +1,169 @@
+"use strict";
+
+const UNLIMITED = 0;
+
+/**
+ * Parses tiers such as "default:500/10000,trusted:5000/100000,admin:0/0" into
+ * `{ name: { daily, monthly } }`; a limit of 0 means unlimited.
+ */
+function parseTiers(spec) {
+  const tiers = {};
+  for (const part of String(spec || "").split(",").map((v) => v.trim()).filter(Boolean)) {
+    const match = /^([a-z][\w-]*)\s*:\s*(\d+)\s*\/\s*(\d+)$/i.exec(part);
+    if (!match) throw new Error(`Invalid quota tier "${part}". Expected name:daily/monthly, e.g. default:500/10000`);
+    tiers[match[1].toLowerCase()] = { daily: Number(match[2]), monthly: Number(match[3]) };
+  }
+  if (Object.keys(tiers).length === 0) throw new Error("At least one quota tier is required.");
+  return tiers;
+}
+
+function formatDuration(ms) {
+  const totalSec = Math.max(1, Math.ceil(ms / 1000));
+  const d = Math.floor(totalSec / 86400);
+  const h = Math.floor((totalSec % 86400) / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return s > 0 ? `${m}m ${s}s` : `${m}m`;
+  return `${s}s`;
+}
+
+/**
+ * Per-key token buckets holding up to `capacity` tokens and refilling at
+ * `refillPerMinute`. `take` either removes `cost` tokens or reports how long
+ * until enough are available; costs above capacity can never succeed. `check`
+ * answers the same without removing anything.
+ */
+function createTokenBuckets(options = {}) {
+  let capacity = Math.max(1, Number(options.capacity ?? 1000));
+  let refillPerMs = Math.max(0, Number(options.refillPerMinute ?? 100)) / 60000;
+  const buckets = new Map();
+
+  function level(key, now) {
+    const bucket = buckets.get(key) || { tokens: capacity, at: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.at) * refillPerMs);
+    bucket.at = now;
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  function check(key, cost, now = Date.now()) {
+    const bucket = level(String(key), now);
+    if (cost > capacity) return { ok: false, tokens: Math.floor(bucket.tokens), waitMs: Infinity };
+    if (bucket.tokens >= cost) return { ok: true, tokens: Math.floor(bucket.tokens - cost), waitMs: 0 };
+    const waitMs = refillPerMs > 0 ? Math.ceil((cost - bucket.tokens) / refillPerMs) : Infinity;
+    return { ok: false, tokens: Math.floor(bucket.tokens), waitMs };
+  }
+
+  function take(key, cost, now = Date.now()) {
+    const result = check(key, cost, now);
+    if (result.ok) level(String(key), now).tokens -= cost;
+    return result;
+  }
+
+  function peek(key, now = Date.now()) {
+    return Math.floor(level(String(key), now).tokens);
+  }
+
+  /** Changes capacity and refill rate; current levels are capped to the new capacity. */
+  function configure(next = {}, now = Date.now()) {
+    for (const key of buckets.keys()) level(key, now);
+    if (next.capacity !== undefined) capacity = Math.max(1, Number(next.capacity));
+    if (next.refillPerMinute !== undefined) refillPerMs = Math.max(0, Number(next.refillPerMinute)) / 60000;
+    for (const bucket of buckets.values()) bucket.tokens = Math.min(capacity, bucket.tokens);
+  }
+
+  return {
+    check,
+    take,
+    peek,
+    configure,
+    get capacity() {
+      return capacity;
+    },
+    get refillPerMinute() {
+      return refillPerMs * 60000;
+    },
+  };
+}
+
+/** UTC day and month keys for `now`, with the instants they roll over. */
+function quotaPeriods(now = Date.now()) {
+  const date = new Date(now);
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  return {
+    day: date.toISOString().slice(0, 10),
+    month: date.toISOString().slice(0, 7),
+    dayResetAt: Date.UTC(y, m, date.getUTCDate() + 1),
+    monthResetAt: Date.UTC(y, m + 1, 1),
+  };
+}
+
+/**
+ * Daily and monthly link quotas per user, counted in UTC periods and kept in
+ * the store's "usage" namespace so restarts do not reset them.
+ */
+function createQuotaTracker(options = {}) {
+  const { store } = options;
+  let tiers = options.tiers;
+  const usage = new Map();
+
+  async function load() {
+    for (const [key, value] of await store.entries("usage")) usage.set(key, value || {});
+    return usage.size;
+  }
+
+  function current(userId, now) {
+    const saved = usage.get(String(Number(userId))) || {};
+    const periods = quotaPeriods(now);
+    return {
+      periods,
+      daily: saved.day === periods.day ? Number(saved.dayCount) || 0 : 0,
+      monthly: saved.month === periods.month ? Number(saved.monthCount) || 0 : 0,
+    };
+  }
+
+  function status(userId, tierName, now = Date.now()) {
+    const tier = tiers[tierName] || { daily: UNLIMITED, monthly: UNLIMITED };
+    const { periods, daily, monthly } = current(userId, now);
+    const row = (used, limit, resetAt) => ({
+      used,
+      limit,
+      remaining: limit === UNLIMITED ? Infinity : Math.max(0, limit - used),
+      resetAt,
+    });
+    return {
+      tier: tierName,
+      daily: row(daily, tier.daily, periods.dayResetAt),
+      monthly: row(monthly, tier.monthly, periods.monthResetAt),
+    };
+  }
+
+  /** Returns null when `cost` fits, else the exhausted period with its limit and reset time. */
+  function check(userId, tierName, cost, now = Date.now()) {
+    const state = status(userId, tierName, now);
+    for (const period of ["daily", "monthly"]) {
+      const row = state[period];
+      if (row.remaining < cost) return { period, ...row };
+    }
+    return null;
+  }
+
+  async function consume(userId, cost, now = Date.now()) {
+    const { periods, daily, monthly } = current(userId, now);
+    const record = { day: periods.day, dayCount: daily + cost, month: periods.month, monthCount: monthly + cost };
+    usage.set(String(Number(userId)), record);
+    await store.set("usage", String(Number(userId)), record);
+  }
+
+  // Usage counts are kept; only the limits they are compared against change.
+  function setTiers(next) {
+    tiers = next;
+  }
+
+  return { load, status, check, consume, setTiers };
+}
+
+module.exports = { parseTiers, formatDuration, createTokenBuckets, quotaPeriods, createQuotaTracker };
@@ -0,0 +1,149 @@
+"use strict";
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date) into ms.
+ * Returns null when the header is missing or unparsable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const at = Date.parse(text);
+  if (!Number.isFinite(at)) return null;
+  return Math.max(0, at - now);
+}
+
+function checkerUnavailableError(name, retryInMs) {
+  const seconds = Math.max(1, Math.ceil(retryInMs / 1000));
+  const err = new Error(`Checker unavailable, try again in ${seconds}s.`);
+  err.code = "CHECKER_UNAVAILABLE";
+  err.backend = name;
+  err.retryInMs = retryInMs;
+  return err;
+}
+
+/**
+ * Closed -> open after `failureThreshold` consecutive failures. After
+ * `cooldownMs` the breaker goes half-open and lets up to `halfOpenProbes`
+ * requests through; a success closes it, a failure re-opens it.
+ * Every granted `tryAcquire()` must be settled with onSuccess, onFailure or release.
+ */
+function createCircuitBreaker(options = {}) {
+  const name = options.name || "api";
+  const failureThreshold = Math.max(1, Number(options.failureThreshold ?? 5));
+  const cooldownMs = Number(options.cooldownMs ?? 30000);
+  const halfOpenProbes = Math.max(1, Number(options.halfOpenProbes ?? 1));
+  const clock = options.now || Date.now;
+  let state = "closed";
+  let failures = 0;
+  let openUntil = 0;
+  let probesInFlight = 0;
+  let openedCount = 0;
+
+  function open(untilMs) {
+    if (state !== "open") openedCount++;
+    state = "open";
+    openUntil = Math.max(openUntil, untilMs);
+    probesInFlight = 0;
+    options.onStateChange?.(name, state);
+  }
+
+  function tryAcquire() {
+    const now = clock();
+    if (state === "open") {
+      if (now < openUntil) return { allowed: false, retryInMs: openUntil - now };
+      state = "half_open";
+      probesInFlight = 0;
+      options.onStateChange?.(name, state);
+    }
+    if (state === "half_open") {
+      if (probesInFlight >= halfOpenProbes) return { allowed: false, retryInMs: Math.max(1000, cooldownMs / 10) };
+      probesInFlight++;
+    }
+    return { allowed: true, retryInMs: 0 };
+  }
+
+  function release() {
+    if (state === "half_open" && probesInFlight > 0) probesInFlight--;
+  }
+
+  function onSuccess() {
+    release();
+    failures = 0;
+    if (state !== "closed") {
+      state = "closed";
+      openUntil = 0;
+      options.onStateChange?.(name, state);
+    }
+  }
+
+  function onFailure() {
+    release();
+    failures++;
+    if (state === "half_open" || failures >= failureThreshold) open(clock() + cooldownMs);
+  }
+
+  function openFor(ms) {
+    open(clock() + ms);
+  }
+
+  function snapshot() {
+    const now = clock();
+    return {
+      name,
+      state: state === "open" && now >= openUntil ? "half_open" : state,
+      failures,
+      retryInMs: state === "open" ? Math.max(0, openUntil - now) : 0,
+      openedCount,
+    };
+  }
+
+  return { tryAcquire, release, onSuccess, onFailure, openFor, snapshot };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+/**
+ * Rolling window of the last `windowSize` calls per endpoint label, reported
+ * as latency percentiles and error rate.
+ */
+function createLatencyTracker(options = {}) {
+  const windowSize = Math.max(1, Number(options.windowSize ?? 200));
+  const samples = new Map();
+
+  function record(label, durationMs, ok) {
+    const list = samples.get(label) || [];
+    list.push({ ms: durationMs, ok: Boolean(ok) });
+    if (list.length > windowSize) list.shift();
+    samples.set(label, list);
+  }
+
+  function snapshot() {
+    const out = {};
+    for (const [label, list] of samples.entries()) {
+      const sorted = list.map((s) => s.ms).sort((a, b) => a - b);
+      const errors = list.filter((s) => !s.ok).length;
+      out[label] = {
+        count: list.length,
+        errorRate: list.length > 0 ? errors / list.length : 0,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+      };
+    }
+    return out;
+  }
+
+  return { record, snapshot };
+}
+
+module.exports = {
+  parseRetryAfter,
+  checkerUnavailableError,
+  createCircuitBreaker,
+  createLatencyTracker,
+};
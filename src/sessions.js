@@ -0,0 +1,106 @@
+"use strict";
+
+const { parseTelegramLink } = require("./core");
+
+/**
+ * /bulk collection sessions, one per user and chat, so links collected in a
+ * DM never mix with a group. Links from several messages accumulate
+ * (deduplicated by canonical link) until the user runs or discards the
+ * session; `maxLinks` caps checkable links across the whole session and idle
+ * sessions expire after `ttlMs`.
+ *
+ * An expired session stops being returned at once but is only removed by
+ * `sweep()` or a new `open()`, which both hand it back so its owner can be
+ * told it expired.
+ */
+function createBulkSessions(options = {}) {
+  const ttlMs = Number(options.ttlMs ?? 10 * 60 * 1000);
+  let maxLinks = Number(options.maxLinks ?? 300);
+  const sessions = new Map();
+
+  function sessionKey(userId, chatId) {
+    return `${Number(userId)}:${Number(chatId)}`;
+  }
+
+  function get(userId, chatId, now = Date.now()) {
+    const session = sessions.get(sessionKey(userId, chatId));
+    return session && session.expiresAt > now ? session : null;
+  }
+
+  /** Opens or extends the session; `expired` is the session it replaced when that one had expired. */
+  function open(userId, chatId, now = Date.now()) {
+    const key = sessionKey(userId, chatId);
+    const existing = sessions.get(key);
+    if (existing && existing.expiresAt > now) {
+      existing.expiresAt = now + ttlMs;
+      return { session: existing, created: false, expired: null };
+    }
+    const session = { userId: Number(userId), chatId: Number(chatId), links: [], skipped: [], keys: new Set(), openedAt: now, expiresAt: now + ttlMs };
+    sessions.set(key, session);
+    return { session, created: true, expired: existing || null };
+  }
+
+  function add(userId, chatId, rawLinks, now = Date.now()) {
+    const session = get(userId, chatId, now);
+    if (!session) return null;
+    let added = 0;
+    let duplicates = 0;
+    let overLimit = 0;
+    let skipped = 0;
+    for (const raw of rawLinks) {
+      const parsed = parseTelegramLink(raw);
+      const key = parsed.ok ? parsed.canonical : parsed.input;
+      if (session.keys.has(key)) {
+        duplicates++;
+      } else if (!parsed.ok) {
+        session.keys.add(key);
+        session.skipped.push({ link: parsed.input, status: "skipped", reason: parsed.reason });
+        skipped++;
+      } else if (session.links.length >= maxLinks) {
+        overLimit++;
+      } else {
+        session.keys.add(key);
+        session.links.push(key);
+        added++;
+      }
+    }
+    session.expiresAt = now + ttlMs;
+    return { added, duplicates, overLimit, skipped, total: session.links.length };
+  }
+
+  function take(userId, chatId, now = Date.now()) {
+    const session = get(userId, chatId, now);
+    if (session) sessions.delete(sessionKey(userId, chatId));
+    return session;
+  }
+
+  function sweep(now = Date.now()) {
+    const expired = [];
+    for (const [key, session] of sessions.entries()) {
+      if (session.expiresAt > now) continue;
+      sessions.delete(key);
+      expired.push(session);
+    }
+    return expired;
+  }
+
+  function setMaxLinks(value) {
+    maxLinks = Number(value);
+  }
+
+  return {
+    get,
+    open,
+    add,
+    take,
+    discard: take,
+    sweep,
+    setMaxLinks,
+    ttlMs,
+    get maxLinks() {
+      return maxLinks;
+    },
+  };
+}
+
+module.exports = { createBulkSessions };
@@ -0,0 +1,353 @@
+"use strict";
+
+const { promises: fsp } = require("fs");
+const path = require("path");
+
+/*
+ * Stores share one async shape:
+ *   { backend, open() -> { version, migratedFrom }, entries(ns) -> [[key, value]], get(ns, key),
+ *     set(ns, key, value), delete(ns, key), flush(), close() }
+ * Keys are strings and values are JSON-serializable. The "_meta" namespace is
+ * reserved for store bookkeeping such as one-off imports.
+ */
+
+const STORE_SCHEMA_VERSION = 1;
+const NAMESPACE_RE = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * JSON document migrations: JSON_MIGRATIONS[n] upgrades a version-n document
+ * to version n + 1. Version 0 is anything written before versioning existed.
+ */
+const JSON_MIGRATIONS = [
+  (doc) => ({ version: 1, namespaces: doc && typeof doc.namespaces === "object" ? doc.namespaces : {} }),
+];
+
+/** SQLITE_MIGRATIONS[n] holds the statements that move `user_version` n to n + 1. */
+const SQLITE_MIGRATIONS = [
+  ["CREATE TABLE IF NOT EXISTS kv (ns TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, updated_at TEXT NOT NULL, PRIMARY KEY (ns, key))"],
+];
+
+function storeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function assertNamespace(ns) {
+  if (!NAMESPACE_RE.test(String(ns))) throw storeError(`Invalid store namespace: ${ns}`, "STORE_BAD_NAMESPACE");
+}
+
+let tempCounter = 0;
+
+/**
+ * Writes `data` to a sibling temp file, fsyncs it and renames it over `file`,
+ * so readers see either the old or the new content and never a partial write.
+ */
+async function writeFileAtomic(file, data) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${++tempCounter}.tmp`;
+  const handle = await fsp.open(tmp, "w");
+  try {
+    await handle.writeFile(data, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fsp.rename(tmp, file);
+  } catch (err) {
+    await fsp.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+function migrateJsonDocument(doc) {
+  const from = Number.isInteger(doc?.version) ? doc.version : 0;
+  if (from > STORE_SCHEMA_VERSION) {
+    throw storeError(`Store schema version ${from} is newer than supported version ${STORE_SCHEMA_VERSION}`, "STORE_VERSION_UNSUPPORTED");
+  }
+  let current = doc;
+  for (let version = from; version < STORE_SCHEMA_VERSION; version++) current = JSON_MIGRATIONS[version](current);
+  return { doc: current, migratedFrom: from < STORE_SCHEMA_VERSION ? from : null };
+}
+
+/**
+ * Whole-document JSON store. Mutations apply in memory at once; the document
+ * is written at most once per `writeDelayMs`, so a burst of changes costs one
+ * write. Writes go through one queue and never interleave. A failed
+ * background write goes to `onError` and is retried with the next change,
+ * `flush()` or `close()`, which write pending changes right away and reject
+ * when that fails. A file that exists but does not parse makes `open()` throw
+ * instead of starting empty. `file: ":memory:"` keeps the document in memory
+ * only, for tests and throwaway runs.
+ */
+function createJsonStore(options = {}) {
+  const file = options.file;
+  if (!file) throw storeError("JSON store needs a file path", "STORE_CONFIG");
+  const writeDelayMs = Math.max(0, Number(options.writeDelayMs ?? 1000));
+  const onError = options.onError || (() => {});
+  let doc = { version: STORE_SCHEMA_VERSION, namespaces: {} };
+  let queue = Promise.resolve();
+  let dirty = false;
+  let timer = null;
+
+  const inMemory = file === ":memory:";
+
+  function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const run = queue.then(async () => {
+      if (!dirty || inMemory) return;
+      dirty = false;
+      try {
+        await writeFileAtomic(file, `${JSON.stringify(doc)}\n`);
+      } catch (err) {
+        dirty = true;
+        throw err;
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function scheduleWrite() {
+    dirty = true;
+    if (timer || inMemory) return;
+    timer = setTimeout(() => flush().catch(onError), writeDelayMs);
+    timer.unref?.();
+  }
+
+  async function open() {
+    if (inMemory) return { version: STORE_SCHEMA_VERSION, migratedFrom: null };
+    let raw;
+    try {
+      raw = await fsp.readFile(file, "utf8");
+    } catch (err) {
+      if (err?.code === "ENOENT") return { version: STORE_SCHEMA_VERSION, migratedFrom: null };
+      throw err;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw storeError(`Store file ${file} is corrupt: ${err.message}`, "STORE_CORRUPT");
+    }
+    const migrated = migrateJsonDocument(parsed);
+    doc = migrated.doc;
+    if (migrated.migratedFrom !== null) {
+      dirty = true;
+      await flush();
+    }
+    return { version: doc.version, migratedFrom: migrated.migratedFrom };
+  }
+
+  function namespace(ns, create) {
+    assertNamespace(ns);
+    if (!doc.namespaces[ns] && create) doc.namespaces[ns] = {};
+    return doc.namespaces[ns] || {};
+  }
+
+  async function entries(ns) {
+    return Object.entries(namespace(ns, false));
+  }
+
+  async function get(ns, key) {
+    return namespace(ns, false)[String(key)];
+  }
+
+  async function set(ns, key, value) {
+    namespace(ns, true)[String(key)] = value;
+    scheduleWrite();
+  }
+
+  async function remove(ns, key) {
+    const bucket = namespace(ns, false);
+    if (!(String(key) in bucket)) return false;
+    delete bucket[String(key)];
+    scheduleWrite();
+    return true;
+  }
+
+  async function close() {
+    await flush();
+  }
+
+  return { backend: "json", file, open, entries, get, set, delete: remove, flush, close };
+}
+
+/**
+ * SQLite store on better-sqlite3 (an optional dependency), one row per
+ * namespace/key. Schema version lives in `PRAGMA user_version`.
+ */
+function createSqliteStore(options = {}) {
+  const file = options.file;
+  if (!file) throw storeError("SQLite store needs a file path", "STORE_CONFIG");
+  let db = null;
+
+  function loadDriver() {
+    if (options.driver) return options.driver;
+    try {
+      return require("better-sqlite3");
+    } catch (err) {
+      throw storeError(`STORE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`, "STORE_DRIVER_MISSING");
+    }
+  }
+
+  function database() {
+    if (!db) throw storeError("Store is not open", "STORE_CLOSED");
+    return db;
+  }
+
+  async function open() {
+    const Database = loadDriver();
+    if (file !== ":memory:") await fsp.mkdir(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    const from = db.pragma("user_version", { simple: true });
+    if (from > STORE_SCHEMA_VERSION) {
+      throw storeError(`Store schema version ${from} is newer than supported version ${STORE_SCHEMA_VERSION}`, "STORE_VERSION_UNSUPPORTED");
+    }
+    db.transaction(() => {
+      for (let version = from; version < STORE_SCHEMA_VERSION; version++) {
+        for (const sql of SQLITE_MIGRATIONS[version]) db.exec(sql);
+      }
+      db.pragma(`user_version = ${STORE_SCHEMA_VERSION}`);
+    })();
+    return { version: STORE_SCHEMA_VERSION, migratedFrom: from < STORE_SCHEMA_VERSION ? from : null };
+  }
+
+  async function entries(ns) {
+    assertNamespace(ns);
+    const rows = database().prepare("SELECT key, value FROM kv WHERE ns = ? ORDER BY key").all(ns);
+    return rows.map((row) => [row.key, JSON.parse(row.value)]);
+  }
+
+  async function get(ns, key) {
+    assertNamespace(ns);
+    const row = database().prepare("SELECT value FROM kv WHERE ns = ? AND key = ?").get(ns, String(key));
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async function set(ns, key, value) {
+    assertNamespace(ns);
+    database()
+      .prepare(
+        "INSERT INTO kv (ns, key, value, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT (ns, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at"
+      )
+      .run(ns, String(key), JSON.stringify(value), new Date().toISOString());
+  }
+
+  async function remove(ns, key) {
+    assertNamespace(ns);
+    return database().prepare("DELETE FROM kv WHERE ns = ? AND key = ?").run(ns, String(key)).changes > 0;
+  }
+
+  // Every statement is written when it runs; nothing is buffered.
+  async function flush() {}
+
+  async function close() {
+    if (db) db.close();
+    db = null;
+  }
+
+  return { backend: "sqlite", file, open, entries, get, set, delete: remove, flush, close };
+}
+
+/**
+ * Serializes async read-modify-write updates per key: `queue(key, fn)` runs
+ * `fn(key)` once the key's earlier updates have settled, so concurrent updates
+ * of one store record never drop each other's changes.
+ */
+function createKeyedQueue() {
+  const chains = new Map();
+  return function queue(key, fn) {
+    const run = (chains.get(key) || Promise.resolve()).then(() => fn(key));
+    const settled = run.catch(() => {});
+    chains.set(key, settled);
+    settled.then(() => {
+      if (chains.get(key) === settled) chains.delete(key);
+    });
+    return run;
+  };
+}
+
+const STORE_BACKENDS = { json: createJsonStore, sqlite: createSqliteStore };
+
+function createStore(backend, options = {}) {
+  const factory = STORE_BACKENDS[String(backend || "json").toLowerCase()];
+  if (!factory) throw storeError(`Unknown store backend: ${backend}. Available: ${Object.keys(STORE_BACKENDS).join(", ")}`, "STORE_CONFIG");
+  return factory(options);
+}
+
+async function readLegacyJson(file) {
+  try {
+    return JSON.parse(await fsp.readFile(file, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw storeError(`Legacy file ${file} could not be read: ${err.message}`, "STORE_LEGACY_UNREADABLE");
+  }
+}
+
+/**
+ * One-off import of the pre-store files (`auth-users.json`, `user-settings.json`,
+ * `group-settings.json`) into the `auth`, `prefs` and `groups` namespaces.
+ * Runs once per store (tracked in `_meta`); the old files are left in place.
+ */
+async function importLegacyFiles(store, files = {}) {
+  if (await store.get("_meta", "legacy_import")) return null;
+  const counts = { auth: 0, prefs: 0, groups: 0 };
+  const importedAt = new Date().toISOString();
+
+  const auth = files.authFile ? await readLegacyJson(files.authFile) : null;
+  for (const id of Array.isArray(auth?.user_ids) ? auth.user_ids : []) {
+    if (!Number.isFinite(Number(id))) continue;
+    await store.set("auth", String(Number(id)), { authenticatedAt: null, importedAt });
+    counts.auth++;
+  }
+  const prefs = files.prefsFile ? await readLegacyJson(files.prefsFile) : null;
+  for (const [id, value] of Object.entries(prefs?.users && typeof prefs.users === "object" ? prefs.users : {})) {
+    if (!Number.isFinite(Number(id)) || !value || typeof value !== "object") continue;
+    await store.set("prefs", String(Number(id)), value);
+    counts.prefs++;
+  }
+  const groups = files.groupSettingsFile ? await readLegacyJson(files.groupSettingsFile) : null;
+  for (const [id, value] of Object.entries(groups?.chats && typeof groups.chats === "object" ? groups.chats : {})) {
+    if (!Number.isFinite(Number(id)) || !value || typeof value !== "object") continue;
+    await store.set("groups", String(Number(id)), value);
+    counts.groups++;
+  }
+
+  await store.set("_meta", "legacy_import", { at: importedAt, ...counts });
+  return counts;
+}
+
+/**
+ * One-off import of the pre-store watchlist file (`WATCH_STORE_FILE`) into the
+ * "watch" namespace. Tracked in `_meta` apart from importLegacyFiles, so stores
+ * that imported the other files before the watchlist moved still pick it up.
+ * The old file is left in place.
+ */
+async function importLegacyWatchlist(store, file) {
+  if (!file || (await store.get("_meta", "legacy_watch_import"))) return null;
+  const saved = await readLegacyJson(file);
+  let users = 0;
+  for (const [id, links] of Object.entries(saved?.users && typeof saved.users === "object" ? saved.users : {})) {
+    if (!Number.isFinite(Number(id)) || !links || typeof links !== "object") continue;
+    await store.set("watch", String(Number(id)), links);
+    users++;
+  }
+  await store.set("_meta", "legacy_watch_import", { at: new Date().toISOString(), users });
+  return users;
+}
+
+module.exports = {
+  STORE_SCHEMA_VERSION,
+  writeFileAtomic,
+  migrateJsonDocument,
+  createJsonStore,
+  createSqliteStore,
+  createStore,
+  createKeyedQueue,
+  importLegacyFiles,
+  importLegacyWatchlist,
+};
@@ -0,0 +1,151 @@
+"use strict";
+
+const { parseTelegramLink } = require("./core");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_SCHEDULES = ["off", "daily", "weekly"];
+const STATUSES = ["valid", "invalid", "unknown", "skipped"];
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function dayStart(ms) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/** What an invalid or skipped link counts against: `@username` for Telegram links, the host otherwise. */
+function failureTarget(link) {
+  const parsed = parseTelegramLink(link);
+  if (parsed.ok) return parsed.username ? `@${parsed.username}` : parsed.kind === "invite" ? "private invite" : parsed.canonical;
+  try {
+    return new URL(/^[a-z][\w+.-]*:\/\//i.test(link) ? link : `https://${link}`).hostname.toLowerCase() || String(link);
+  } catch {
+    return String(link);
+  }
+}
+
+function emptyDay() {
+  return { checks: 0, links: 0, kinds: {}, statuses: {}, users: {}, failures: {} };
+}
+
+function increment(counts, key, by = 1) {
+  counts[key] = (Number(counts[key]) || 0) + by;
+}
+
+function top(counts, limit) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit);
+}
+
+/**
+ * Bot-side usage counters, bucketed per UTC day in the store's "usage_stats"
+ * namespace: checks and links per user, links per status, checks per kind
+ * ("single", "bulk", ...) and the most common invalid usernames and domains.
+ * Days older than `retainDays` are dropped on load and on every new day.
+ */
+function createUsageStats(options = {}) {
+  const { store } = options;
+  const retainDays = Math.max(1, Number(options.retainDays ?? 90));
+  // Per-day cap on distinct failure targets so a flood of junk links cannot grow a day without bound.
+  const maxFailureKeys = Math.max(1, Number(options.maxFailureKeys ?? 200));
+  const days = new Map();
+
+  async function prune(now) {
+    const oldest = dayKey(dayStart(now) - (retainDays - 1) * DAY_MS);
+    for (const key of [...days.keys()]) {
+      if (key >= oldest) continue;
+      days.delete(key);
+      await store.delete("usage_stats", key);
+    }
+  }
+
+  async function load(now = Date.now()) {
+    for (const [key, value] of await store.entries("usage_stats")) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(key)) days.set(key, { ...emptyDay(), ...value });
+    }
+    await prune(now);
+    return days.size;
+  }
+
+  /** Counts one completed check of `results` by `userId`. */
+  async function record(userId, kind, results, now = Date.now()) {
+    const key = dayKey(now);
+    if (!days.has(key)) {
+      days.set(key, emptyDay());
+      await prune(now);
+    }
+    const day = days.get(key);
+    const user = String(Number(userId));
+    day.checks += 1;
+    day.links += results.length;
+    increment(day.kinds, kind);
+    day.users[user] = day.users[user] || { checks: 0, links: 0 };
+    day.users[user].checks += 1;
+    day.users[user].links += results.length;
+    for (const r of results) {
+      increment(day.statuses, STATUSES.includes(r.status) ? r.status : "unknown");
+      if (r.status !== "invalid" && r.status !== "skipped") continue;
+      const target = failureTarget(r.link);
+      if (day.failures[target] === undefined && Object.keys(day.failures).length >= maxFailureKeys) continue;
+      increment(day.failures, target);
+    }
+    await store.set("usage_stats", key, day);
+  }
+
+  /** Totals over the UTC days `from`..`to` (inclusive, "YYYY-MM-DD"). */
+  function summarize(from, to, limit = 5) {
+    const totals = { from, to, checks: 0, links: 0, kinds: {}, statuses: {}, users: {}, failures: {} };
+    for (const [key, day] of days) {
+      if (key < from || key > to) continue;
+      totals.checks += day.checks;
+      totals.links += day.links;
+      for (const [name, count] of Object.entries(day.kinds)) increment(totals.kinds, name, count);
+      for (const [name, count] of Object.entries(day.statuses)) increment(totals.statuses, name, count);
+      for (const [name, count] of Object.entries(day.failures)) increment(totals.failures, name, count);
+      for (const [id, row] of Object.entries(day.users)) increment(totals.users, id, row.checks);
+    }
+    for (const status of STATUSES) totals.statuses[status] = totals.statuses[status] || 0;
+    return {
+      from,
+      to,
+      checks: totals.checks,
+      links: totals.links,
+      activeUsers: Object.keys(totals.users).length,
+      kinds: totals.kinds,
+      statuses: totals.statuses,
+      topUsers: top(totals.users, limit).map(([id, checks]) => ({ userId: Number(id), checks })),
+      topFailures: top(totals.failures, limit).map(([target, count]) => ({ target, count })),
+    };
+  }
+
+  return { load, record, summarize };
+}
+
+/** The last `count` UTC days up to and including today, as an inclusive day range. */
+function recentDays(count, now = Date.now()) {
+  return { from: dayKey(dayStart(now) - (count - 1) * DAY_MS), to: dayKey(now) };
+}
+
+/**
+ * The period a digest sent at `now` reports on, plus the period before it:
+ * yesterday vs. the day before ("daily"), or the last 7 full days vs. the 7
+ * before them ("weekly"). Periods are inclusive UTC day ranges.
+ */
+function digestPeriods(schedule, now = Date.now()) {
+  const span = schedule === "weekly" ? 7 : 1;
+  const end = dayStart(now) - DAY_MS;
+  const range = (last) => ({ from: dayKey(last - (span - 1) * DAY_MS), to: dayKey(last) });
+  return { current: range(end), previous: range(end - span * DAY_MS) };
+}
+
+/** Next send time after `now`: every day at `hourUtc`, or Mondays at `hourUtc` for "weekly". */
+function nextDigestAt(schedule, hourUtc, now = Date.now()) {
+  let at = dayStart(now) + hourUtc * 60 * 60 * 1000;
+  while (at <= now || (schedule === "weekly" && new Date(at).getUTCDay() !== 1)) at += DAY_MS;
+  return at;
+}
+
+module.exports = { DIGEST_SCHEDULES, failureTarget, createUsageStats, recentDays, digestPeriods, nextDigestAt };
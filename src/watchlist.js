@@ -0,0 +1,146 @@
+"use strict";
+
+const { linkKey } = require("./core");
+
+/**
+ * Per-user watched links with their last known verdict, kept in the store's
+ * "watch" namespace as `{ [link]: { status, since, addedAt, checkedAt } }` per
+ * user. Changes apply in memory; `persist()` writes the users changed since
+ * the last call. `applyResults` folds a round of check results in and returns
+ * the status changes worth alerting on. "unknown" results never overwrite a
+ * verdict, so upstream hiccups stay quiet. Results are matched to watched
+ * links by canonical link, like diffResults.
+ */
+function createWatchStore(options = {}) {
+  const store = options.store || null;
+  let maxPerUser = Number(options.maxPerUser ?? 50);
+  const users = new Map();
+  const changed = new Set();
+
+  function entriesFor(userId) {
+    return users.get(Number(userId)) || new Map();
+  }
+
+  function add(userId, links, now = new Date().toISOString()) {
+    const id = Number(userId);
+    const entries = entriesFor(id);
+    const added = [];
+    const existing = [];
+    const overLimit = [];
+    for (const link of links) {
+      if (entries.has(link)) {
+        existing.push(link);
+        continue;
+      }
+      if (entries.size >= maxPerUser) {
+        overLimit.push(link);
+        continue;
+      }
+      entries.set(link, { status: null, since: null, addedAt: now, checkedAt: null });
+      added.push(link);
+    }
+    if (entries.size > 0) users.set(id, entries);
+    if (added.length > 0) changed.add(id);
+    return { added, existing, overLimit };
+  }
+
+  function remove(userId, links) {
+    const id = Number(userId);
+    const entries = entriesFor(id);
+    const removed = links.filter((link) => entries.delete(link));
+    if (entries.size === 0) users.delete(id);
+    if (removed.length > 0) changed.add(id);
+    return removed;
+  }
+
+  function list(userId) {
+    return [...entriesFor(userId).entries()].map(([link, entry]) => ({ link, ...entry }));
+  }
+
+  function allLinks() {
+    const links = new Set();
+    for (const entries of users.values()) for (const link of entries.keys()) links.add(link);
+    return [...links];
+  }
+
+  function applyResults(results, now = new Date().toISOString()) {
+    const byLink = new Map(results.map((r) => [linkKey(r.link), r]));
+    const changes = [];
+    for (const [userId, entries] of users.entries()) {
+      for (const [link, entry] of entries.entries()) {
+        const result = byLink.get(linkKey(link));
+        if (!result) continue;
+        entry.checkedAt = now;
+        changed.add(userId);
+        if (result.status !== "valid" && result.status !== "invalid") continue;
+        if (entry.status === result.status) continue;
+        if (entry.status) changes.push({ userId, link, previous: entry.status, current: result.status, at: now });
+        entry.status = result.status;
+        entry.since = now;
+      }
+    }
+    return changes;
+  }
+
+  function userCount() {
+    return users.size;
+  }
+
+  async function load() {
+    if (!store) return 0;
+    for (const [key, saved] of await store.entries("watch")) {
+      const id = Number(key);
+      if (!Number.isFinite(id) || !saved || typeof saved !== "object") continue;
+      const entries = new Map();
+      for (const [link, entry] of Object.entries(saved)) {
+        entries.set(link, {
+          status: entry?.status || null,
+          since: entry?.since || null,
+          addedAt: entry?.addedAt || null,
+          checkedAt: entry?.checkedAt || null,
+        });
+      }
+      if (entries.size > 0) users.set(id, entries);
+    }
+    return users.size;
+  }
+
+  /** Writes every user changed since the last persist; a user whose write fails is retried next time. */
+  async function persist() {
+    if (!store) return;
+    const ids = [...changed];
+    changed.clear();
+    try {
+      for (const id of ids) {
+        const entries = users.get(id);
+        if (entries) await store.set("watch", String(id), Object.fromEntries([...entries].map(([link, entry]) => [link, { ...entry }])));
+        else await store.delete("watch", String(id));
+      }
+    } catch (err) {
+      for (const id of ids) changed.add(id);
+      throw err;
+    }
+  }
+
+  // Users already above a lowered limit keep their links but cannot add more.
+  function setMaxPerUser(value) {
+    maxPerUser = Number(value);
+  }
+
+  return {
+    add,
+    remove,
+    list,
+    allLinks,
+    applyResults,
+    userCount,
+    load,
+    persist,
+    setMaxPerUser,
+    get maxPerUser() {
+      return maxPerUser;
+    },
+  };
+}
+
+module.exports = { createWatchStore };
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createApiKeys, createApiHandler } = require("../src/api");
+const { createJobRegistry } = require("../src/jobs");
+const { TeleCheckClient } = require("../src/client");
+const { createFakeChecker } = require("../src/checkers");
+const { createStore } = require("../src/storage");
+
+/** An API server on a free port with a fake checker, a 5-link budget, user 13 banned and user 14 signed out. */
+async function startApi(t, options = {}) {
+  const keys = createApiKeys({ store: createStore("json", { file: ":memory:" }) });
+  const usage = [];
+  let budget = 5;
+  const handler = createApiHandler({
+    keys,
+    client: new TeleCheckClient({ checkers: [createFakeChecker()] }),
+    jobs: options.jobs || createJobRegistry({ maxPerUser: 1 }),
+    limits: () => ({ maxLinks: 4, maxChars: 1000 }),
+    accessDenial: (userId) => ({ 13: "banned", 14: "auth_required" })[userId] || null,
+    charge: async (userId, cost) => {
+      if (cost > budget) return { reason: "rate_limited", message: "Slow down", waitMs: 2500 };
+      budget -= cost;
+      return null;
+    },
+    recordUsage: async (userId, kind, results) => usage.push({ userId, kind, count: results.length }),
+    stats: async (userId) => ({ userId }),
+  });
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const { key } = await keys.issue({ userId: 42, label: "ci", createdBy: 1 });
+  const call = async (method, path, body, apiKey = key) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+  return { keys, usage, call, base, budget: () => budget };
+}
+
+test("API keys are stored by digest, verified and revoked", async () => {
+  const store = createStore("json", { file: ":memory:" });
+  const keys = createApiKeys({ store });
+  const { key, record } = await keys.issue({ userId: 42, label: "ci", createdBy: 1 });
+  assert.match(key, /^tck_[0-9a-f]{8}_/);
+  const [[id, saved]] = await store.entries("apikeys");
+  assert.equal(id, record.id);
+  assert.ok(!JSON.stringify(saved).includes(key));
+
+  const reloaded = createApiKeys({ store });
+  assert.equal(await reloaded.load(), 1);
+  assert.equal(reloaded.verify(key).userId, 42);
+  assert.equal(reloaded.verify(`${key}x`), null);
+  assert.ok(reloaded.list()[0].lastUsedAt);
+  assert.equal(await reloaded.revoke(record.id), true);
+  assert.equal(reloaded.verify(key), null);
+});
+
+test("POST /api/check dedups, skips and enforces auth, size and rate limits", async (t) => {
+  const { call, usage, keys } = await startApi(t);
+  assert.equal((await call("POST", "/api/check", { link: "t.me/news" }, "tck_00000000_nope")).status, 401);
+
+  const checked = await call("POST", "/api/check", { links: ["t.me/alive_one", "https://t.me/Alive_One", "https://example.com"], text: "see t.me/dead_one" });
+  assert.equal(checked.status, 200);
+  assert.deepEqual(
+    checked.body.results.map((r) => [r.link, r.status]),
+    [
+      ["https://t.me/alive_one", "valid"],
+      ["https://t.me/dead_one", "invalid"],
+      ["https://example.com", "skipped"],
+    ]
+  );
+  assert.deepEqual(checked.body.summary, { valid: 1, invalid: 1, unknown: 0, skipped: 1 });
+  assert.deepEqual(usage, [{ userId: 42, kind: "bulk", count: 3 }]);
+
+  assert.equal((await call("POST", "/api/check", { links: ["t.me/alive_1", "t.me/alive_2", "t.me/alive_3", "t.me/alive_4", "t.me/alive_5"] })).body.error, "too_many_links");
+  const limited = await call("POST", "/api/check", { links: ["t.me/alive_1", "t.me/alive_2", "t.me/alive_3", "t.me/alive_4"] });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("retry-after"), "3");
+  assert.equal((await call("POST", "/api/check", { links: "t.me/alive_1" })).status, 400);
+
+  const banned = await keys.issue({ userId: 13, createdBy: 1 });
+  assert.equal((await call("GET", "/api/stats", undefined, banned.key)).status, 403);
+  const signedOut = await keys.issue({ userId: 14, createdBy: 1 });
+  assert.deepEqual((await call("POST", "/api/check", { link: "t.me/news" }, signedOut.key)).body.error, "auth_required");
+  assert.deepEqual((await call("GET", "/api/stats")).body, { userId: 42 });
+});
+
+test("async checks run as jobs readable only with the key that started them", async (t) => {
+  const { call, keys, base } = await startApi(t);
+  const started = await call("POST", "/api/check", { links: ["t.me/alive_one", "t.me/unknown_two"], async: true });
+  assert.equal(started.status, 202);
+  assert.equal(started.headers.get("location"), `/api/jobs/${started.body.job.id}`);
+
+  let job = started.body.job;
+  while (job.status === "running") job = (await call("GET", `/api/jobs/${job.id}`)).body;
+  assert.equal(job.status, "done");
+  assert.deepEqual(job.summary, { valid: 1, invalid: 0, unknown: 1, skipped: 0 });
+
+  const other = await keys.issue({ userId: 42, createdBy: 1 });
+  assert.equal((await call("GET", `/api/jobs/${job.id}`, undefined, other.key)).status, 404);
+  const spec = await fetch(`${base}/api/openapi.json`);
+  assert.equal((await spec.json()).openapi, "3.0.3");
+});
+
+test("a check refused for too many jobs is not charged", async (t) => {
+  const jobs = createJobRegistry({ maxPerUser: 1 });
+  const { call, budget } = await startApi(t, { jobs });
+  const running = jobs.start(42, { total: 1 });
+  const refused = await call("POST", "/api/check", { links: ["t.me/alive_1", "t.me/alive_2"] });
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.error, "too_many_jobs");
+  assert.equal(budget(), 5);
+  jobs.finish(running.id);
+  assert.equal((await call("POST", "/api/check", { links: ["t.me/alive_1", "t.me/alive_2"] })).status, 200);
+  assert.equal(budget(), 3);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hashPassword, verifyPassword, generateInviteCode, inviteKey, createLockout } = require("../src/auth");
+
+test("verifyPassword accepts salted hashes and plain secrets", () => {
+  const hash = hashPassword("correct horse");
+  assert.match(hash, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+  assert.notEqual(hash, hashPassword("correct horse"), "fresh salt per hash");
+  assert.equal(verifyPassword("correct horse", { hash }), true);
+  assert.equal(verifyPassword("correct horsE", { hash }), false);
+  assert.equal(verifyPassword("correct horse", { hash, plain: "other" }), true, "hash wins over plain");
+  assert.equal(verifyPassword("s3cret", { plain: "s3cret" }), true);
+  assert.equal(verifyPassword("s3cret!", { plain: "s3cret" }), false);
+  assert.equal(verifyPassword("anything", {}), false);
+  assert.equal(verifyPassword("anything", { hash: "md5$nope" }), false);
+});
+
+test("invite codes are readable and keyed case-insensitively", () => {
+  const code = generateInviteCode();
+  assert.match(code, /^[A-HJ-NP-Z2-9]{10}$/);
+  assert.equal(inviteKey(` ${code.toLowerCase()} `), inviteKey(code));
+});
+
+test("lockout escalates after max attempts and resets on success", () => {
+  const lockout = createLockout({ maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 3000 });
+  assert.equal(lockout.fail(1, 0).lockedForMs, 0);
+  assert.equal(lockout.fail(1, 0).lockedForMs, 0);
+  assert.equal(lockout.fail(1, 0).lockedForMs, 1000);
+  assert.deepEqual(lockout.check(1, 500), { locked: true, retryInMs: 500, failures: 3 });
+  assert.equal(lockout.check(1, 1000).locked, false);
+  assert.equal(lockout.fail(1, 1000).lockedForMs, 2000);
+  assert.equal(lockout.fail(1, 3000).lockedForMs, 3000, "capped at maxDelayMs");
+  assert.equal(lockout.check(2, 0).locked, false);
+  lockout.reset(1);
+  assert.equal(lockout.check(1, 3000).failures, 0);
+});
@@ -0,0 +1,335 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Context, Telegram } = require("telegraf");
+const { createBot } = require("../src/app");
+const { TeleCheckClient } = require("../src/client");
+const { createFakeChecker } = require("../src/checkers");
+const { createStore } = require("../src/storage");
+
+const BOT_INFO = { id: 1, is_bot: true, first_name: "TeleCheck", username: "telecheck_test_bot" };
+
+/**
+ * A bot with a fake checker behind the client and a Telegram that records API
+ * calls instead of sending them; `api[method](payload)` overrides a method's response
+ * and `checkerOptions` go to the fake checker. `inline`, `choose`, `press` and `upload`
+ * send inline queries, picks, button presses and files and return the payloads of the calls they made.
+ */
+function harness(config = {}, api = {}, checkerOptions = {}) {
+  const checker = createFakeChecker({ details: { "https://t.me/news": { kind: "channel", title: "News" } }, ...checkerOptions });
+  const store = createStore("json", { file: ":memory:" });
+  const app = createBot({
+    token: "1:test",
+    client: new TeleCheckClient({ checkers: [checker] }),
+    store,
+    config: { PROGRESS_EDIT_INTERVAL_MS: 0, ...config },
+    log: () => {},
+  });
+  const calls = [];
+  const telegram = new Telegram("1:test");
+  telegram.callApi = async (method, payload) => {
+    calls.push({ method, payload });
+    if (api[method]) return api[method](payload);
+    return { message_id: calls.length, date: 0, chat: { id: payload.chat_id }, text: payload.text };
+  };
+  // Messages the bot sends outside an update (watch alerts, expiry notices) are recorded too.
+  app.bot.telegram.callApi = telegram.callApi;
+  let updateId = 0;
+  let messageId = 0;
+  async function send(text, from = { id: 42 }, chat = { id: from.id, type: "private" }) {
+    const message = { message_id: ++messageId, date: 0, chat, from: { is_bot: false, first_name: "U", ...from }, text };
+    const command = /^\/\w+/.exec(text);
+    if (command) message.entities = [{ type: "bot_command", offset: 0, length: command[0].length }];
+    const ctx = new Context({ update_id: ++updateId, message }, telegram, BOT_INFO);
+    const before = calls.length;
+    await app.bot.middleware()(ctx, async () => {});
+    return calls.slice(before).map((call) => call.payload.text);
+  }
+  async function dispatch(update) {
+    const ctx = new Context({ update_id: ++updateId, ...update }, telegram, BOT_INFO);
+    const before = calls.length;
+    await app.bot.middleware()(ctx, async () => {});
+    return calls.slice(before).map((call) => call.payload);
+  }
+  const inline = (query, from = { id: 42 }) => dispatch({ inline_query: { id: String(updateId), from: { is_bot: false, first_name: "U", ...from }, query, offset: "" } });
+  const choose = (resultId, query, from = { id: 42 }) =>
+    dispatch({ chosen_inline_result: { result_id: resultId, from: { is_bot: false, first_name: "U", ...from }, query } });
+  const press = (data, from = { id: 42 }, chat = { id: from.id, type: "private" }) =>
+    dispatch({
+      callback_query: { id: String(updateId), chat_instance: "1", data, from: { is_bot: false, first_name: "U", ...from }, message: { message_id: 1, date: 0, chat, text: "panel" } },
+    });
+  const upload = (document, from = { id: 42 }, chat = { id: from.id, type: "private" }) =>
+    dispatch({ message: { message_id: ++messageId, date: 0, chat, from: { is_bot: false, first_name: "U", ...from }, document } });
+  return { app, checker, store, calls, send, inline, choose, press, upload };
+}
+
+test("guard rejects chats outside the allowlist and users who have not authenticated", async () => {
+  const { send, checker } = harness({ ALLOWED_CHAT_IDS: new Set([7]), AUTH_PASSWORD: "secret" });
+  assert.deepEqual(await send("/check t.me/news"), ["This chat is not allowed to use this bot."]);
+
+  assert.deepEqual(await send("/check t.me/news", { id: 7 }), ["Password required. Use /auth <password>."]);
+  assert.deepEqual(await send("/auth wrong", { id: 7 }), ["Invalid password or invite code."]);
+  assert.deepEqual(await send("/auth secret", { id: 7 }), ["Authentication successful."]);
+  assert.match((await send("/check t.me/news", { id: 7 }))[0], /^\[VALID\]/);
+  assert.equal(checker.calls.single, 1);
+});
+
+test("guard limits messages per user before anything is charged", async () => {
+  const { send, checker } = harness({ MESSAGE_RATE_LIMIT_BURST: 2, MESSAGE_RATE_LIMIT_REFILL_PER_MIN: 1 });
+  await send("/check t.me/news");
+  await send("/help");
+  assert.deepEqual(await send("/check t.me/news"), ["Too many messages. Try again in 1m."]);
+  assert.equal(checker.calls.single, 1);
+  assert.match((await send("/check t.me/news", { id: 7 }))[0], /^\[VALID\]/);
+});
+
+test("/check replies with the verdict and records history", async () => {
+  const { send, store } = harness();
+  const [reply] = await send("/check https://t.me/news");
+  assert.match(reply, /^\[VALID\] <b>VALID<\/b>/);
+  assert.match(reply, /TITLE: News/);
+  assert.match((await send("/check t.me/dead_chan"))[0], /^\[INVALID\]/);
+  assert.match((await send("/check example.com"))[0], /^\[SKIPPED\]/);
+  assert.equal((await store.entries("history")).length, 1);
+});
+
+test("/invalid toggles the preference that bulk output uses", async () => {
+  const { send, store } = harness();
+  assert.match((await send("/invalid"))[0], /^Invalid links in bulk output: ON/);
+  assert.deepEqual(await send("/invalid off"), ["Updated: invalid links in bulk output are now OFF."]);
+  assert.equal((await store.get("prefs", "42")).showInvalidBulk, false);
+
+  const replies = await send("t.me/alive_one t.me/dead_one");
+  const output = replies.at(-1);
+  assert.match(output, /\[V\] https:\/\/t\.me\/alive_one/);
+  assert.doesNotMatch(output, /dead_one/);
+});
+
+test("result files leave out invalid links while they are hidden", async () => {
+  const { send, calls } = harness();
+  await send("/output file csv");
+  await send("/invalid off");
+  const replies = await send("t.me/alive_one t.me/dead_one");
+  assert.match(replies.at(-2), /Invalid: 1 link \(hidden\)/);
+  const csv = calls.at(-1).payload.document.source.toString("utf8");
+  assert.match(csv, /alive_one/);
+  assert.doesNotMatch(csv, /dead_one/);
+});
+
+test("bulk checks report progress and list every result", async () => {
+  const { send, checker } = harness();
+  const replies = await send("t.me/alive_one\nt.me/dead_one\nt.me/alive_two\nhttps://example.com");
+  assert.match(replies[0], /Checking 3 links/);
+  assert.match(replies[1], /Checked 3\/3/);
+  const lines = replies.at(-1).split("\n");
+  assert.equal(lines[0], "Done. Total: 4 links");
+  assert.ok(lines.includes("[V] https://t.me/alive_one"));
+  assert.ok(lines.includes("[X] https://t.me/dead_one"));
+  assert.ok(lines.includes("[-] https://example.com (not a Telegram link)"));
+  assert.equal(checker.calls.bulk, 1);
+
+  await send("/bulk");
+  await send("t.me/alive_one t.me/alive_three");
+  const done = await send("/done");
+  assert.match(done.at(-1), /Total: 2 links/);
+  assert.equal(checker.calls.bulk, 2);
+});
+
+test("/apikey issues, lists and revokes REST API keys for admins only", async () => {
+  const { send, store } = harness({ ADMIN_USER_IDS: new Set([42]) });
+  assert.deepEqual(await send("/apikey", { id: 7 }), ["Only admins can manage users."]);
+
+  const [created] = await send("/apikey new 7 monitoring");
+  const [, id] = /^API key ([0-9a-f]{8}) for 7\./.exec(created);
+  assert.match(created, /\ntck_[0-9a-f]{8}_\S+\n/);
+  assert.equal((await store.get("apikeys", id)).userId, 7);
+
+  const [list] = await send("/apikey list");
+  assert.match(list, new RegExp(`^API keys: 1\\n${id} "monitoring": acts as 7, created \\d{4}-\\d{2}-\\d{2}, never used`));
+  assert.deepEqual(await send(`/apikey revoke ${id}`), [`Revoked API key ${id}.`]);
+  assert.equal(await store.get("apikeys", id), undefined);
+});
+
+test("/list saves from the next message and check highlights changes since the last run", async () => {
+  const { send, store } = harness();
+  assert.deepEqual(await send("/list save Partners"), [
+    "Send the links for list partners in your next message, or upload a .txt, .csv or .json file.",
+  ]);
+  assert.deepEqual(await send("t.me/alive_one t.me/dead_one https://example.com"), [
+    "Saved list partners with 2 links.\nIgnored 1 non-Telegram or malformed link.",
+  ]);
+
+  const first = await send("/list check partners");
+  assert.match(first.at(-1), /^First check of list partners/);
+  const saved = await store.get("lists", "42");
+  saved.lists.partners.lastRun.results = [
+    { link: "https://t.me/alive_one", status: "invalid" },
+    { link: "https://t.me/dead_one", status: "valid" },
+  ];
+  await store.set("lists", "42", saved);
+
+  const lines = (await send("/list check partners")).at(-1).split("\n");
+  assert.match(lines[0], /^Changes in partners since /);
+  assert.deepEqual(lines.slice(1, 5), ["Newly dead (1):", "[X] https://t.me/dead_one (VALID -> INVALID)", "Revived (1):", "[V] https://t.me/alive_one"]);
+  assert.equal(lines[6], "Done. Total: 2 links");
+});
+
+test("lists are capped to one check and oversized lists are not checked", async () => {
+  const { send, store, checker } = harness({ RATE_LIMIT_BURST: 2 });
+  assert.deepEqual(await send("/list save partners t.me/alive_one t.me/alive_two t.me/alive_three"), [
+    "Saved list partners with 2 links.\n1 link did not fit (max 2 per list).",
+  ]);
+  const saved = await store.get("lists", "42");
+  saved.lists.partners.links.push("https://t.me/alive_three");
+  await store.set("lists", "42", saved);
+  assert.deepEqual(await send("/list check partners"), [
+    "List partners has 3 links, but one check takes at most 2. Remove some with /list remove partners first.",
+  ]);
+  assert.equal(checker.calls.bulk, 0);
+});
+
+test("/bulk sessions only collect links from the chat they were opened in", async () => {
+  const { send, checker } = harness();
+  await send("/bulk");
+  const group = { id: -100, type: "supergroup" };
+  assert.deepEqual(await send("/done", { id: 42 }, group), ["No open bulk session. Use /bulk first."]);
+  await send("t.me/alive_one", { id: 42 });
+  const done = await send("/done");
+  assert.match(done.at(-1), /Total: 1 link/);
+  assert.equal(checker.calls.bulk, 1);
+});
+
+test("/done refused for too many jobs keeps the session and charges nothing", async () => {
+  const { send } = harness({ MAX_JOBS_PER_USER: 1, RATE_LIMIT_BURST: 4, RATE_LIMIT_REFILL_PER_MIN: 1 }, {}, { delayMs: 100 });
+  const group = { id: -100, type: "supergroup" };
+  await send("/bulk", { id: 42 }, group);
+  await send("t.me/alive_one t.me/alive_two", { id: 42 }, group);
+  const running = send("t.me/alive_three t.me/alive_four");
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(await send("/done", { id: 42 }, group), ["You already have 1 job running. Wait for it or use /cancel."]);
+  await running;
+  assert.match((await send("/done", { id: 42 }, group)).at(-1), /Total: 2 links/);
+});
+
+const GROUP = { id: -100, type: "supergroup", title: "Group" };
+const ADMIN_42 = { getChatMember: ({ user_id }) => ({ status: user_id === 42 ? "administrator" : "member", user: { id: user_id } }) };
+
+test("/groupmode changes need a group admin and scans then flag dead links", async () => {
+  const { send, calls } = harness({}, ADMIN_42);
+  assert.match((await send("/groupmode", { id: 7 }, GROUP))[0], /^Group mode: OFF/);
+  assert.equal((await send("/groupmode summary", { id: 7 }, GROUP)).at(-1), "Only group admins can change group mode.");
+  assert.deepEqual(await send("t.me/dead_chan", { id: 7 }, GROUP), [], "group mode is still off");
+
+  assert.match((await send("/groupmode summary", { id: 42 }, GROUP)).at(-1), /^Updated: group mode is now SUMMARY/);
+  assert.deepEqual(await send("see t.me/dead_chan and t.me/alive_one", { id: 7 }, GROUP), ["Dead links (1/2):\n[X] https://t.me/dead_chan"]);
+  assert.ok(calls.at(-1).payload.reply_parameters.message_id);
+  assert.deepEqual(await send("all fine: t.me/alive_one", { id: 7 }, GROUP), []);
+
+  await send("/groupmode silent delete on", { id: 42 }, GROUP);
+  await send("t.me/dead_chan", { id: 7 }, GROUP);
+  assert.equal(calls.at(-1).method, "deleteMessage");
+});
+
+test("a member's DM bulk session and list save do not take their group messages", async () => {
+  const { send, calls } = harness({}, ADMIN_42);
+  await send("/groupmode silent", { id: 42 }, GROUP);
+  await send("/bulk");
+  await send("/list save partners");
+
+  assert.deepEqual(await send("t.me/dead_chan", { id: 42 }, GROUP), [undefined]);
+  assert.equal(calls.at(-1).method, "setMessageReaction");
+  assert.deepEqual(await send("/done"), ["No links collected yet. Send links, or /discard to cancel."]);
+  assert.deepEqual(await send("t.me/alive_one"), ["Saved list partners with 1 link."]);
+});
+
+test("inline answers are charged only when a result is picked", async () => {
+  const { inline, choose, store } = harness({ RATE_LIMIT_BURST: 3, RATE_LIMIT_REFILL_PER_MIN: 1 });
+  const query = "t.me/alive_one t.me/dead_one";
+  for (let i = 0; i < 3; i++) {
+    const [answer] = await inline(query);
+    assert.deepEqual(answer.results.map((r) => r.id), ["all.2", "r0.1", "r1.1"]);
+  }
+  assert.equal(await store.get("usage", "42"), undefined);
+
+  await choose("all.2", query);
+  assert.equal((await store.get("usage", "42")).dayCount, 2);
+  const [limited] = await inline(query);
+  assert.deepEqual(limited.results, []);
+  assert.match(limited.button.text, /^Rate limited, try again in/);
+  await choose("r0.1", "t.me/alive_one");
+  assert.equal((await store.get("usage", "42")).dayCount, 3);
+});
+
+test("inline checks give up at INLINE_TIMEOUT_MS", async () => {
+  const { inline } = harness({ INLINE_TIMEOUT_MS: 100 }, {}, { delayMs: 300 });
+  const [answer] = await inline("t.me/alive_one");
+  assert.deepEqual(answer.results, []);
+  assert.equal(answer.button.text, "Check is taking too long. Try again");
+});
+
+test("a pending list save waits for a message with links in its own chat", async () => {
+  const { send } = harness({}, ADMIN_42);
+  await send("/groupmode silent", { id: 42 }, GROUP);
+  await send("/list save partners", { id: 7 }, GROUP);
+  assert.deepEqual(await send("one moment", { id: 7 }, GROUP), []);
+  assert.deepEqual(await send("t.me/alive_one", { id: 7 }, GROUP), ["Saved list partners with 1 link."]);
+
+  await send("/list save news", { id: 7 });
+  assert.deepEqual(await send("hello", { id: 7 }), ["No Telegram links found."]);
+  assert.deepEqual(await send("t.me/news", { id: 7 }), ["Saved list news with 1 link."]);
+});
+
+test("settings buttons save the change and edit the panel in place", async () => {
+  const { send, press, calls, store } = harness();
+  await send("/settings");
+  const buttons = calls.at(-1).payload.reply_markup.inline_keyboard.flat().map((b) => b.callback_data);
+  assert.ok(buttons.includes("settings:42:invalid"));
+
+  const [answer, edit] = await press("settings:42:invalid");
+  assert.equal(answer.text, "Saved");
+  assert.equal(edit.message_id, 1);
+  assert.match(edit.text, /OFF/);
+  assert.ok(edit.reply_markup.inline_keyboard.length > 0);
+  assert.equal((await store.get("prefs", "42")).showInvalidBulk, false);
+
+  await press("settings:42:close");
+  assert.equal(calls.at(-1).method, "editMessageReplyMarkup");
+});
+
+test("settings panels only answer their owner and pass the callback guard", async () => {
+  const { send, press, store } = harness({ AUTH_PASSWORD: "secret" });
+  await send("/auth secret");
+  await send("/auth secret", { id: 7 });
+  const [foreign] = await press("settings:42:invalid", { id: 7 });
+  assert.deepEqual([foreign.text, foreign.show_alert], ["This panel belongs to another user. Send /settings to open your own.", true]);
+  assert.equal(await store.get("prefs", "42"), undefined);
+
+  const [guarded] = await press("settings:9:invalid", { id: 9 });
+  assert.deepEqual([guarded.text, guarded.show_alert], ["Password required: open the bot and /auth", true]);
+  assert.equal(await store.get("prefs", "9"), undefined);
+});
+
+test("a /watch baseline alerts other users watching a link that changed", async () => {
+  const { app, send, calls } = harness();
+  await send("/watch t.me/flip_chan", { id: 7 });
+  app.client.cache.set("https://t.me/flip_chan", { link: "https://t.me/flip_chan", status: "invalid" });
+  await send("/watch t.me/flip_chan");
+  const alert = calls.find((call) => call.method === "sendMessage" && call.payload.chat_id === 7 && /VALID -> INVALID/.test(call.payload.text));
+  assert.ok(alert, "user 7 is told about the change");
+});
+
+test("files posted in a group are ignored unless the sender is saving a list there", async () => {
+  const { upload } = harness();
+  const pdf = { file_id: "f1", file_name: "report.pdf", mime_type: "application/pdf", file_size: 10 };
+  assert.deepEqual(await upload(pdf, { id: 7 }, GROUP), []);
+  assert.match((await upload(pdf, { id: 7 }))[0].text, /^Unsupported file type/);
+});
+
+test("inline queries take a message credit each and stop checking when they run out", async () => {
+  const { inline, checker } = harness({ MESSAGE_RATE_LIMIT_BURST: 2, MESSAGE_RATE_LIMIT_REFILL_PER_MIN: 1 });
+  await inline("t.me/alive_one");
+  await inline("t.me/alive_two");
+  const [limited] = await inline("t.me/alive_three");
+  assert.deepEqual(limited.results, []);
+  assert.equal(limited.button.text, "Rate limited, try again in 1m");
+  assert.equal(checker.calls.single, 2);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { promises: fsp } = require("fs");
+const { createResultCache } = require("../src/cache");
+
+test("result cache applies per-status TTLs", () => {
+  const cache = createResultCache({ ttlValidMs: 1000, ttlInvalidMs: 100, ttlUnknownMs: 0 });
+  cache.set("https://t.me/example", { link: "https://t.me/example", status: "valid" }, 0);
+  cache.set("https://t.me/gonechan", { link: "https://t.me/gonechan", status: "invalid" }, 0);
+  cache.set("https://t.me/whoknows", { link: "https://t.me/whoknows", status: "unknown" }, 0);
+
+  assert.equal(cache.get("https://t.me/example", 500).status, "valid");
+  assert.equal(cache.get("https://t.me/gonechan", 500), undefined);
+  assert.equal(cache.get("https://t.me/whoknows", 1), undefined);
+  assert.deepEqual(cache.stats(), { size: 1, hits: 1, misses: 2 });
+});
+
+test("result cache keys by canonical link", () => {
+  const cache = createResultCache();
+  cache.set("t.me/Example", { link: "https://t.me/example", status: "valid" });
+  assert.equal(cache.get("@example").status, "valid");
+});
+
+test("result cache evicts least recently used entries", () => {
+  const cache = createResultCache({ maxEntries: 2 });
+  cache.set("https://t.me/first", { status: "valid" });
+  cache.set("https://t.me/second", { status: "valid" });
+  cache.get("https://t.me/first");
+  cache.set("https://t.me/third", { status: "valid" });
+  assert.ok(cache.get("https://t.me/first"));
+  assert.equal(cache.get("https://t.me/second"), undefined);
+  assert.ok(cache.get("https://t.me/third"));
+});
+
+test("result cache persists to disk and skips expired entries on load", async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "telecheck-cache-"));
+  const file = path.join(dir, "cache.json");
+  const first = createResultCache({ file, ttlValidMs: 1000, ttlInvalidMs: 10 });
+  first.set("https://t.me/example", { link: "https://t.me/example", status: "valid" }, 0);
+  first.set("https://t.me/gonechan", { link: "https://t.me/gonechan", status: "invalid" }, 0);
+  await first.flush(0);
+
+  const second = createResultCache({ file });
+  assert.equal(await second.load(500), 1);
+  assert.equal(second.get("https://t.me/example", 500).status, "valid");
+  await fsp.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const {
+  classifyTelegramPage,
+  createTelecheckChecker,
+  createDirectChecker,
+  createFakeChecker,
+  createCheckerChain,
+} = require("../src/checkers");
+const { createMockServer } = require("../src/mock-server");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", "tme", `${name}.html`), "utf8");
+}
+
+test("classifyTelegramPage recognizes channel, group, bot and user pages", () => {
+  assert.deepEqual(classifyTelegramPage(fixture("channel")), {
+    status: "valid",
+    kind: "channel",
+    title: "Durov's Channel",
+    memberCount: 8512340,
+    verified: true,
+    reason: null,
+  });
+  const group = classifyTelegramPage(fixture("group"));
+  assert.equal(group.kind, "group");
+  assert.equal(group.verified, false);
+  assert.equal(group.title, "Node.js & friends");
+  assert.equal(group.memberCount, 12345);
+  assert.equal(classifyTelegramPage(fixture("bot")).kind, "bot");
+  assert.equal(classifyTelegramPage(fixture("user")).kind, "user");
+  assert.equal(classifyTelegramPage(fixture("invite")).kind, "group");
+});
+
+test("classifyTelegramPage treats the contact placeholder as invalid", () => {
+  assert.equal(classifyTelegramPage(fixture("not-found")).status, "invalid");
+  assert.equal(classifyTelegramPage("<html><body>Oops</body></html>").status, "unknown");
+});
+
+test("direct checker fetches the username page for post links", async () => {
+  const requested = [];
+  const http = {
+    get: async (url) => {
+      requested.push(url);
+      return { data: fixture(url.endsWith("nosuchname123") ? "not-found" : "channel") };
+    },
+  };
+  const checker = createDirectChecker({ http });
+  assert.equal((await checker.checkOne("https://t.me/durov/42")).status, "valid");
+  assert.equal((await checker.checkOne("https://t.me/nosuchname123")).status, "invalid");
+  assert.equal((await checker.checkOne("https://t.me/c/123456/7")).status, "unknown");
+  assert.deepEqual(requested, ["https://t.me/durov", "https://t.me/nosuchname123"]);
+});
+
+test("direct checker returns page metadata and marks invite links private", async () => {
+  const http = { get: async (url) => ({ data: fixture(url.includes("+") ? "invite" : "channel") }) };
+  const checker = createDirectChecker({ http });
+  assert.deepEqual(await checker.checkOne("https://t.me/durov"), {
+    link: "https://t.me/durov",
+    status: "valid",
+    reason: null,
+    kind: "channel",
+    title: "Durov's Channel",
+    username: "durov",
+    memberCount: 8512340,
+    verified: true,
+  });
+  const invite = await checker.checkOne("https://t.me/+AbCdEf123");
+  assert.equal(invite.kind, "private");
+  assert.equal(invite.memberCount, 42);
+  assert.equal(invite.username, undefined);
+});
+
+test("fake checker derives statuses from overrides and link hints", async () => {
+  const checker = createFakeChecker({ statuses: { "https://t.me/special": "invalid" } });
+  const results = await checker.checkMany(["https://t.me/special", "https://t.me/dead_chan", "https://t.me/fine_chan"]);
+  assert.deepEqual(
+    results.map((r) => r.status),
+    ["invalid", "invalid", "valid"]
+  );
+  assert.deepEqual(checker.calls, { single: 0, bulk: 1 });
+});
+
+test("createCheckerChain builds backends in order and rejects unknown names", () => {
+  const chain = createCheckerChain("fake, direct", { directHttp: {} });
+  assert.deepEqual(
+    chain.map((c) => c.name),
+    ["fake", "direct"]
+  );
+  assert.throws(() => createCheckerChain("telecheck,nope"), /Unknown checker backend\(s\): nope/);
+});
+
+test("telecheck checker talks to the local mock server", async (t) => {
+  const server = createMockServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const http = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}` });
+  const checker = createTelecheckChecker({ http });
+
+  assert.equal((await checker.checkOne("https://t.me/dead_chan")).status, "invalid");
+  const results = await checker.checkMany(["https://t.me/fine_chan", "https://t.me/unknown_chan"]);
+  assert.deepEqual(
+    results.map((r) => [r.link, r.status]),
+    [
+      ["https://t.me/fine_chan", "valid"],
+      ["https://t.me/unknown_chan", "unknown"],
+    ]
+  );
+  assert.equal((await checker.stats()).total, 2);
+});
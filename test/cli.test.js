@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { main, parseCliArgs } = require("../src/cli");
+const { TeleCheckClient } = require("../src/client");
+const { createFakeChecker } = require("../src/checkers");
+
+function sink() {
+  const out = { text: "" };
+  out.write = (chunk) => {
+    out.text += chunk;
+    return true;
+  };
+  return out;
+}
+
+async function run(argv, input = "", env = {}) {
+  const stdout = sink();
+  const stderr = sink();
+  const client = new TeleCheckClient({ checkers: [createFakeChecker()] });
+  const code = await main(argv, { stdin: Readable.from([input]), stdout, stderr, env, client });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+test("parseCliArgs validates format, --only and --concurrency", () => {
+  const options = parseCliArgs(["-f", "ndjson", "--only", "invalid,unknown", "-c", "3", "links.txt"]);
+  assert.equal(options.format, "ndjson");
+  assert.deepEqual([...options.only], ["invalid", "unknown"]);
+  assert.equal(options.concurrency, 3);
+  assert.deepEqual(options.files, ["links.txt"]);
+  assert.throws(() => parseCliArgs(["--format", "xml"]), { code: "CLI_USAGE" });
+  assert.throws(() => parseCliArgs(["--only", "dead"]), { code: "CLI_USAGE" });
+  assert.throws(() => parseCliArgs(["-c", "0"]), { code: "CLI_USAGE" });
+});
+
+test("stdin links are deduplicated, checked and filtered; the exit code reflects every result", async () => {
+  const { code, stdout } = await run(["--format", "ndjson", "--only", "invalid"], "t.me/alive_one https://t.me/dead_one\nt.me/alive_one\n");
+  assert.equal(code, 1);
+  const rows = stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(rows.map((r) => [r.link, r.status]), [["https://t.me/dead_one", "invalid"]]);
+
+  const ok = await run([], "t.me/alive_one https://example.com");
+  assert.equal(ok.code, 0);
+  assert.match(ok.stdout, /^Done\. Total: 2 links/);
+  assert.match(ok.stdout, /\[-\] https:\/\/example\.com/);
+  assert.equal((await run([], "t.me/alive_one t.me/unknown_one")).code, 2);
+});
+
+test("files are read by extension and errors exit with 3", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "telecheck-cli-"));
+  const file = path.join(dir, "links.csv");
+  fs.writeFileSync(file, "name,url\nNews,t.me/news\nOther,t.me/alive_two\n");
+  const { code, stdout } = await run(["-f", "csv", "--column", "url", file]);
+  assert.equal(code, 0);
+  assert.equal(stdout.split("\r\n")[0], "link,status,reason,checked_at");
+  assert.equal(stdout.trim().split("\r\n").length, 3);
+
+  const missing = await run([path.join(dir, "missing.txt")]);
+  assert.equal(missing.code, 3);
+  assert.match(missing.stderr, /cannot read/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { TeleCheckClient } = require("../src/client");
+
+function httpError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.response = { status, headers: {} };
+  return err;
+}
+
+// axios-shaped transport: `routes.get(url, config)` / `routes.post(url, body)` return data or throw.
+function fakeHttp(routes) {
+  const calls = [];
+  return {
+    calls,
+    async get(url, config = {}) {
+      calls.push(["get", config.params?.link ?? url]);
+      return { data: await routes.get(url, config) };
+    },
+    async post(url, body) {
+      calls.push(["post", body]);
+      return { data: await routes.post(url, body) };
+    },
+  };
+}
+
+test("checkSingle retries transient errors and then serves from the cache", async () => {
+  let failures = 1;
+  const http = fakeHttp({
+    get: async (url, config) => {
+      if (failures-- > 0) throw httpError(503);
+      return { status: "active", title: "News", link: config.params.link };
+    },
+  });
+  const client = new TeleCheckClient({ http, retryBaseDelayMs: 0 });
+  const result = await client.checkSingle("https://t.me/news");
+  assert.equal(result.status, "valid");
+  assert.equal(result.title, "News");
+  assert.equal(http.calls.length, 2);
+
+  assert.equal((await client.checkSingle("t.me/News")).status, "valid");
+  assert.equal(http.calls.length, 2);
+  await client.checkSingle("https://t.me/news", { fresh: true });
+  assert.equal(http.calls.length, 3);
+  assert.equal(client.upstreamStatus().breakers[0].state, "closed");
+});
+
+test("checkBulk falls back to single checks when bulk requests are not supported", async () => {
+  const http = fakeHttp({
+    post: async () => {
+      throw httpError(404);
+    },
+    get: async (url, config) => ({ status: /dead/.test(config.params.link) ? "dead" : "ok" }),
+  });
+  const client = new TeleCheckClient({ http, retryBaseDelayMs: 0 });
+  const seen = [];
+  const results = await client.checkBulk(["https://t.me/alive", "https://t.me/dead_one"], { onProgress: (rows) => seen.push(...rows) });
+  assert.deepEqual(
+    results.map((r) => [r.link, r.status]),
+    [
+      ["https://t.me/alive", "valid"],
+      ["https://t.me/dead_one", "invalid"],
+    ]
+  );
+  assert.equal(seen.length, 2);
+  assert.equal(http.calls.filter(([method]) => method === "post").length, 4);
+});
+
+test("cancelling stops a retry backoff wait right away", async () => {
+  const http = fakeHttp({
+    get: async () => {
+      throw httpError(503);
+    },
+  });
+  const client = new TeleCheckClient({ http, retryBaseDelayMs: 30000 });
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(client.checkSingle("https://t.me/news", { signal: controller.signal }), { code: "JOB_CANCELLED" });
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(http.calls.length, 1);
+});
+
+test("a dead transport opens the breaker and later calls fail fast", async () => {
+  const http = fakeHttp({
+    get: async () => {
+      const err = new Error("connect ECONNREFUSED 127.0.0.1:80");
+      err.code = "ECONNREFUSED";
+      throw err;
+    },
+  });
+  const client = new TeleCheckClient({ http, retryBaseDelayMs: 0, breakerFailureThreshold: 2 });
+  await assert.rejects(client.checkSingle("https://t.me/one"), { code: "ECONNREFUSED" });
+  await assert.rejects(client.checkSingle("https://t.me/two"), { code: "ECONNREFUSED" });
+  assert.equal(client.upstreamStatus().breakers[0].state, "open");
+  await assert.rejects(client.checkSingle("https://t.me/three"), { code: "CHECKER_UNAVAILABLE" });
+  assert.equal(http.calls.length, 2);
+});
+
+test("bulk fallback rows for failed links carry a check time", async () => {
+  const http = fakeHttp({
+    post: async () => {
+      throw httpError(404);
+    },
+    get: async () => {
+      throw httpError(400);
+    },
+  });
+  const client = new TeleCheckClient({ http, retryBaseDelayMs: 0 });
+  const [result] = await client.checkBulk(["https://t.me/one", "https://t.me/two"]);
+  assert.equal(result.status, "unknown");
+  assert.match(result.checkedAt, /^\d{4}-\d{2}-\d{2}T/);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RELOADABLE_KEYS, loadConfig, describeConfig, changedKeys } = require("../src/config");
+
+function tempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "telecheck-config-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test("loadConfig parses typed values and fills defaults", () => {
+  const config = loadConfig({
+    env: { BOT_TOKEN: "123:abc", MAX_LINKS_PER_BULK: "50", AUTH_INVITE_ONLY: "yes", ADMIN_USER_IDS: "1, -2", STORE_BACKEND: "SQLite", PORT: "8080" },
+  });
+  assert.equal(config.MAX_LINKS_PER_BULK, 50);
+  assert.equal(config.AUTH_INVITE_ONLY, true);
+  assert.deepEqual([...config.ADMIN_USER_IDS], [1, -2]);
+  assert.equal(config.STORE_BACKEND, "sqlite");
+  assert.equal(config.STORE_FILE, "./data/store.sqlite");
+  assert.equal(config.WEBHOOK_PORT, 8080);
+  assert.deepEqual(config.QUOTA_TIERS.admin, { daily: 0, monthly: 0 });
+  assert.equal(config.WATCH_BATCH_DELAY_MS, 30000);
+  assert.equal(Object.isFrozen(config), true);
+});
+
+test("loadConfig reports every invalid key at once", () => {
+  const err = (() => {
+    try {
+      loadConfig({ env: { MAX_LINKS_PER_BULK: "0", REPLY_CHUNK_MAX_LEN: "9000", API_BASE_URL: "ftp://x", AUTH_INVITE_ONLY: "maybe", ADMIN_USER_IDS: "1,bob", CHECKER_BACKENDS: "telecheck,foo" } });
+    } catch (e) {
+      return e;
+    }
+    return null;
+  })();
+  assert.equal(err.code, "CONFIG_INVALID");
+  assert.deepEqual(
+    err.errors.map((e) => e.key),
+    ["BOT_TOKEN", "API_BASE_URL", "CHECKER_BACKENDS", "MAX_LINKS_PER_BULK", "REPLY_CHUNK_MAX_LEN", "ADMIN_USER_IDS", "AUTH_INVITE_ONLY"]
+  );
+  assert.match(err.message, /REPLY_CHUNK_MAX_LEN: must be between 100 and 4096, got 9000/);
+  assert.match(err.message, /CHECKER_BACKENDS: unknown checker backend "foo", use telecheck, direct, fake/);
+  assert.throws(() => loadConfig({ env: { BOT_TOKEN: "t", QUOTA_DEFAULT_TIER: "gold" } }), /QUOTA_DEFAULT_TIER: "gold" is not defined/);
+});
+
+test("env overrides .env, which overrides the config file", () => {
+  const envFile = tempFile(".env", "MAX_LINKS_PER_BULK=40\nINLINE_MAX_LINKS=5\n");
+  const file = tempFile("config.json", JSON.stringify({ BOT_TOKEN: "from-file", MAX_LINKS_PER_BULK: 30, INLINE_MAX_LINKS: 3, ALLOWED_CHAT_IDS: [10, 20] }));
+  const config = loadConfig({ env: { MAX_LINKS_PER_BULK: "50", INLINE_MAX_LINKS: "" }, envFile, file });
+  assert.equal(config.BOT_TOKEN, "from-file");
+  assert.equal(config.MAX_LINKS_PER_BULK, 50);
+  assert.equal(config.INLINE_MAX_LINKS, 5);
+  assert.deepEqual([...config.ALLOWED_CHAT_IDS], [10, 20]);
+
+  const bad = tempFile("config.json", JSON.stringify({ BOT_TOKEN: "t", MAX_LINK_PER_BULK: 10 }));
+  assert.throws(() => loadConfig({ file: bad }), /MAX_LINK_PER_BULK: unknown key/);
+});
+
+test("describeConfig redacts secrets and changedKeys compares values", () => {
+  const config = loadConfig({ env: { BOT_TOKEN: "123:secret", ADMIN_USER_IDS: "7" } });
+  const rows = Object.fromEntries(describeConfig(config).map(([key, value, reloadable]) => [key, { value, reloadable }]));
+  assert.deepEqual(rows.BOT_TOKEN, { value: "(redacted)", reloadable: false });
+  assert.deepEqual(rows.AUTH_PASSWORD, { value: "(unset)", reloadable: false });
+  assert.deepEqual(rows.ADMIN_USER_IDS, { value: "7", reloadable: true });
+  assert.equal(rows.QUOTA_TIERS.value, "default:1000/20000,trusted:10000/200000,admin:0/0");
+
+  const next = loadConfig({ env: { BOT_TOKEN: "123:secret", ADMIN_USER_IDS: "7,8", REQUEST_TIMEOUT_MS: "5000" } });
+  assert.deepEqual(changedKeys(config, next), ["REQUEST_TIMEOUT_MS", "ADMIN_USER_IDS"]);
+  assert.equal(RELOADABLE_KEYS.includes("ADMIN_USER_IDS"), true);
+  assert.equal(RELOADABLE_KEYS.includes("BOT_TOKEN"), false);
+});
@@ -1,6 +1,21 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
-const { extractUrls, deduplicateLinks, buildBulkLines, chunkLines, normalizeStatus } = require("../src/core");
+const {
+  extractUrls,
+  deduplicateLinks,
+  buildBulkLines,
+  chunkLines,
+  normalizeStatus,
+  normalizeResult,
+  extractBulkRows,
+  parseTelegramLink,
+  partitionLinks,
+  documentFormat,
+  parseCsv,
+  extractLinksFromDocument,
+  serializeResults,
+  diffResults,
+} = require("../src/core");
 
 test("extractUrls matches telegram and http links", () => {
   const input = "x t.me/a https://t.me/b https://example.com, end";
@@ -8,6 +23,56 @@ test("extractUrls matches telegram and http links", () => {
   assert.deepEqual(out, ["t.me/a", "https://t.me/b", "https://example.com"]);
 });
 
+test("extractUrls matches mentions, tg:// and telegram.me forms", () => {
+  const input = "@chanone mail@host.com tg://resolve?domain=chantwo telegram.dog/chanthree";
+  const out = extractUrls(input);
+  assert.deepEqual(out, ["@chanone", "tg://resolve?domain=chantwo", "telegram.dog/chanthree"]);
+});
+
+test("parseTelegramLink canonicalizes username forms", () => {
+  const forms = [
+    "t.me/Example",
+    "https://t.me/example/",
+    "https://telegram.me/example",
+    "@example",
+    "tg://resolve?domain=example",
+    "https://t.me/s/example",
+    "https://t.me/example?start=abc",
+  ];
+  for (const form of forms) {
+    const parsed = parseTelegramLink(form);
+    assert.equal(parsed.ok, true, form);
+    assert.equal(parsed.kind, "username", form);
+    assert.equal(parsed.canonical, "https://t.me/example", form);
+  }
+});
+
+test("parseTelegramLink recognizes invites and message links", () => {
+  assert.equal(parseTelegramLink("t.me/joinchat/AbCdEf123").canonical, "https://t.me/+AbCdEf123");
+  assert.equal(parseTelegramLink("tg://join?invite=AbCdEf123").kind, "invite");
+  assert.equal(parseTelegramLink("https://t.me/example/42").kind, "message");
+  assert.equal(parseTelegramLink("tg://resolve?domain=example&post=42").canonical, "https://t.me/example/42");
+  assert.equal(parseTelegramLink("t.me/c/123456/7").canonical, "https://t.me/c/123456/7");
+});
+
+test("parseTelegramLink rejects malformed and non-telegram links", () => {
+  assert.deepEqual(parseTelegramLink("https://example.com"), {
+    ok: false,
+    input: "https://example.com",
+    reason: "not a Telegram link",
+  });
+  assert.equal(parseTelegramLink("t.me/ab").reason, "malformed username");
+  assert.equal(parseTelegramLink("t.me/example_").reason, "malformed username");
+  assert.equal(parseTelegramLink("t.me/example/abc").reason, "malformed message link");
+  assert.equal(parseTelegramLink("t.me/+15551234567").ok, false);
+});
+
+test("partitionLinks dedups by canonical key and skips non-telegram links", () => {
+  const out = partitionLinks(["t.me/example", "@Example", "https://example.com", "https://example.com"]);
+  assert.deepEqual(out.checkable, ["https://t.me/example"]);
+  assert.deepEqual(out.skipped, [{ link: "https://example.com", status: "skipped", reason: "not a Telegram link" }]);
+});
+
 test("deduplicateLinks preserves order", () => {
   const out = deduplicateLinks(["a", "b", "a", "c", "b"]);
   assert.deepEqual(out, ["a", "b", "c"]);
@@ -19,6 +84,31 @@ test("normalizeStatus maps known states", () => {
   assert.equal(normalizeStatus("something-else"), "unknown");
 });
 
+test("normalizeResult keeps entity metadata when the API provides it", () => {
+  assert.deepEqual(
+    normalizeResult({ url: "t.me/news", state: "ok", type: "supergroup", name: "News", username: "@news", members_count: "1 204", is_verified: "true" }),
+    { link: "t.me/news", status: "valid", reason: null, kind: "group", title: "News", username: "news", memberCount: 1204, verified: true }
+  );
+  assert.deepEqual(normalizeResult({ link: "t.me/x", status: "dead", failure_reason: "banned", verified: false }), {
+    link: "t.me/x",
+    status: "invalid",
+    reason: "banned",
+    verified: false,
+  });
+  assert.deepEqual(Object.keys(normalizeResult({ link: "t.me/y", status: "valid", kind: "spaceship" })), ["link", "status", "reason"]);
+});
+
+test("extractBulkRows carries metadata from status lists and keyed responses", () => {
+  const lists = extractBulkRows({ valid: [{ link: "t.me/a", title: "A", kind: "bot" }, "t.me/b"], invalid: ["t.me/c"] }, []);
+  assert.deepEqual(lists.map(normalizeResult), [
+    { link: "t.me/a", status: "valid", reason: null, kind: "bot", title: "A" },
+    { link: "t.me/b", status: "valid", reason: null },
+    { link: "t.me/c", status: "invalid", reason: null },
+  ]);
+  const keyed = extractBulkRows({ "t.me/a": { status: "valid", subscribers: 10, chat_type: "channel" } }, ["t.me/a"]);
+  assert.deepEqual(keyed.map(normalizeResult), [{ link: "t.me/a", status: "valid", reason: null, kind: "channel", memberCount: 10 }]);
+});
+
 test("buildBulkLines puts valid first and includes summary", () => {
   const results = [
     { link: "l1", status: "unknown" },
@@ -26,17 +116,128 @@ test("buildBulkLines puts valid first and includes summary", () => {
     { link: "l3", status: "valid" },
   ];
   const lines = buildBulkLines(results);
-  assert.equal(lines[0], "Done. Total: 3");
-  assert.equal(lines[1], "Valid: 1");
-  assert.equal(lines[2], "Invalid: 1");
-  assert.equal(lines[3], "Unknown: 1");
+  assert.equal(lines[0], "Done. Total: 3 links");
+  assert.equal(lines[1], "Valid: 1 link");
+  assert.equal(lines[2], "Invalid: 1 link");
+  assert.equal(lines[3], "Unknown: 1 link");
   assert.equal(lines[5], "[V] l3");
   assert.equal(lines[6], "[X] l2");
   assert.equal(lines[7], "[?] l1");
 });
 
+test("buildBulkLines reports skipped links with reasons", () => {
+  const lines = buildBulkLines([
+    { link: "l1", status: "valid" },
+    { link: "x.com", status: "skipped", reason: "not a Telegram link" },
+  ]);
+  assert.equal(lines[4], "Skipped: 1 link");
+  assert.equal(lines[7], "[-] x.com (not a Telegram link)");
+});
+
+test("buildBulkLines applies sort order and compact detail", () => {
+  const results = [
+    { link: "b", status: "invalid", reason: "not found" },
+    { link: "c", status: "valid" },
+    { link: "a", status: "skipped", reason: "not a Telegram link" },
+  ];
+  assert.deepEqual(buildBulkLines(results, { sort: "input" }).slice(-3), ["[X] b (not found)", "[V] c", "[-] a (not a Telegram link)"]);
+  assert.deepEqual(buildBulkLines(results, { sort: "alpha", detail: "compact" }), [
+    "Done: 3 links | V 1 | X 1 | ? 0 | skipped 1",
+    "",
+    "[-] a",
+    "[X] b",
+    "[V] c",
+  ]);
+});
+
+test("buildBulkLines shows titles and can group lines by kind", () => {
+  const results = [
+    { link: "t.me/b", status: "valid", kind: "bot", title: "Helper" },
+    { link: "t.me/c", status: "valid", kind: "channel", title: "News" },
+    { link: "t.me/gone", status: "invalid", reason: "No such username" },
+    { link: "t.me/d", status: "valid", kind: "channel" },
+  ];
+  assert.deepEqual(buildBulkLines(results, { group: true, sort: "input" }).slice(5), [
+    "Channels (2)",
+    "[V] t.me/c - News",
+    "[V] t.me/d",
+    "",
+    "Bots (1)",
+    "[V] t.me/b - Helper",
+    "",
+    "Other (1)",
+    "[X] t.me/gone (No such username)",
+  ]);
+  assert.equal(buildBulkLines(results, { detail: "compact" })[2], "[V] t.me/b");
+});
+
 test("chunkLines splits output safely", () => {
   const lines = ["12345", "67890", "abcde"];
   const chunks = chunkLines(lines, 11);
   assert.deepEqual(chunks, ["12345\n67890", "abcde"]);
 });
+
+test("documentFormat detects supported uploads", () => {
+  assert.equal(documentFormat("links.CSV"), "csv");
+  assert.equal(documentFormat("export", "application/json"), "json");
+  assert.equal(documentFormat("notes.txt"), "txt");
+  assert.equal(documentFormat("sheet.xlsx", "application/octet-stream"), null);
+});
+
+test("parseCsv handles quotes and detects delimiters", () => {
+  assert.deepEqual(parseCsv('name,url\n"A, B","t.me/first"\r\nC,t.me/second\n'), [
+    ["name", "url"],
+    ["A, B", "t.me/first"],
+    ["C", "t.me/second"],
+  ]);
+  assert.deepEqual(parseCsv("a;b\n1;2"), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+});
+
+test("extractLinksFromDocument reads a chosen CSV column", () => {
+  const csv = "name,url,backup\nA,t.me/first,t.me/other\nB,t.me/second,\n";
+  assert.deepEqual(extractLinksFromDocument(csv, "csv", { column: "URL" }), ["t.me/first", "t.me/second"]);
+  assert.deepEqual(extractLinksFromDocument(csv, "csv", { column: 3 }), ["t.me/other"]);
+  assert.equal(extractLinksFromDocument(csv, "csv").length, 3);
+  assert.throws(() => extractLinksFromDocument(csv, "csv", { column: "missing" }), /Column not found/);
+});
+
+test("extractLinksFromDocument walks JSON for link strings", () => {
+  const json = JSON.stringify({ items: [{ link: "t.me/first" }, { nested: { note: "see @second_chan" } }], count: 2 });
+  assert.deepEqual(extractLinksFromDocument(json, "json"), ["t.me/first", "@second_chan"]);
+});
+
+test("serializeResults exports csv, json and txt rows", () => {
+  const results = [
+    { link: "https://t.me/gone", status: "invalid", reason: 'said "no", twice', checkedAt: "2026-01-01T00:00:00.000Z" },
+    { link: "https://t.me/alive", status: "valid", reason: null, checkedAt: "2026-01-01T00:00:00.000Z" },
+  ];
+  assert.equal(
+    serializeResults(results, "csv"),
+    'link,status,reason,checked_at\r\nhttps://t.me/alive,valid,,2026-01-01T00:00:00.000Z\r\nhttps://t.me/gone,invalid,"said ""no"", twice",2026-01-01T00:00:00.000Z\r\n'
+  );
+  assert.deepEqual(JSON.parse(serializeResults(results, "json"))[0], {
+    link: "https://t.me/alive",
+    status: "valid",
+    reason: null,
+    checkedAt: "2026-01-01T00:00:00.000Z",
+  });
+  assert.equal(serializeResults(results, "txt").split("\n")[0], "valid\thttps://t.me/alive\t\t2026-01-01T00:00:00.000Z");
+  assert.throws(() => serializeResults(results, "xml"), /Unsupported export format/);
+});
+
+test("diffResults reports status changes matched by canonical link", () => {
+  const before = [
+    { link: "https://t.me/alpha", status: "valid" },
+    { link: "https://t.me/bravo", status: "invalid" },
+    { link: "https://t.me/gone_now", status: "valid" },
+  ];
+  const after = [
+    { link: "t.me/Alpha", status: "invalid" },
+    { link: "https://t.me/bravo", status: "invalid" },
+    { link: "https://t.me/new_link", status: "valid" },
+  ];
+  assert.deepEqual(diffResults(before, after), [{ link: "t.me/Alpha", previous: "valid", current: "invalid" }]);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { promises: fsp } = require("fs");
+const { createJsonStore } = require("../src/storage");
+const { createHistory } = require("../src/history");
+
+async function openStore() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "telecheck-history-"));
+  const store = createJsonStore({ file: path.join(dir, "store.json") });
+  await store.open();
+  return { dir, store };
+}
+
+test("history records jobs with summaries and caps them by count", async () => {
+  const { dir, store } = await openStore();
+  const history = createHistory({ store, maxJobs: 2 });
+  const results = [
+    { link: "https://t.me/alpha", status: "valid" },
+    { link: "https://t.me/bravo", status: "invalid", reason: "gone" },
+    { link: "https://example.com", status: "skipped", reason: "Not a Telegram link" },
+  ];
+  await Promise.all([
+    history.record(1, { kind: "bulk", results }),
+    history.record(1, { kind: "single", results: results.slice(0, 1) }),
+    history.record(1, { kind: "single", results: results.slice(1, 2) }),
+  ]);
+
+  const jobs = await history.list(1);
+  assert.deepEqual(jobs.map((job) => job.id), [3, 2]);
+  assert.equal(await history.get(1, 1), null);
+  const bulk = await history.record(1, { kind: "bulk", results, rerunOf: 3 });
+  assert.deepEqual(bulk.summary, { valid: 1, invalid: 1, unknown: 0, skipped: 1 });
+  assert.equal((await history.get(1, 4)).rerunOf, 3);
+  assert.deepEqual(await history.list(2), []);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("history drops old jobs and clearing keeps ids increasing", async () => {
+  const { dir, store } = await openStore();
+  const history = createHistory({ store, maxJobs: 10, maxAgeMs: 1000 });
+  const results = [{ link: "https://t.me/alpha", status: "valid" }];
+  await history.record(1, { kind: "single", results }, 0);
+  await history.record(1, { kind: "single", results }, 5000);
+  assert.deepEqual((await history.list(1, 5000)).map((job) => job.id), [2]);
+
+  assert.equal(await history.clear(1), 1);
+  assert.deepEqual(await history.list(1, 5000), []);
+  assert.equal((await history.record(1, { kind: "single", results }, 6000)).id, 3);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
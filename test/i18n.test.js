@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CATALOGS, DEFAULT_LOCALE, LOCALES, resolveLocale, createTranslator, missingKeys } = require("../src/i18n");
+const { buildBulkSummary } = require("../src/core");
+
+function placeholders(entry) {
+  const texts = typeof entry === "string" ? [entry] : Object.values(entry);
+  return new Set(texts.flatMap((text) => [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1])));
+}
+
+test("every catalog has all English keys and plural forms", () => {
+  assert.ok(LOCALES.length >= 2);
+  for (const locale of LOCALES) {
+    assert.deepEqual(missingKeys(locale), [], `${locale} is missing keys`);
+  }
+});
+
+test("translations only use placeholders English provides", () => {
+  const english = CATALOGS[DEFAULT_LOCALE];
+  for (const locale of LOCALES) {
+    for (const [key, entry] of Object.entries(CATALOGS[locale])) {
+      assert.ok(key in english, `${locale} has unknown key ${key}`);
+      const allowed = placeholders(english[key]);
+      for (const name of placeholders(entry)) assert.ok(allowed.has(name), `${locale} ${key} uses {${name}}`);
+    }
+  }
+});
+
+test("translator interpolates, pluralizes and falls back to English", () => {
+  const en = createTranslator("en");
+  const ru = createTranslator("ru");
+  assert.equal(en("summary.valid", { count: 1 }), "Valid: 1 link");
+  assert.equal(en("summary.valid", { count: 2 }), "Valid: 2 links");
+  assert.equal(ru("summary.valid", { count: 1 }), "Действительных: 1 ссылка");
+  assert.equal(ru("summary.valid", { count: 3 }), "Действительных: 3 ссылки");
+  assert.equal(ru("summary.valid", { count: 5 }), "Действительных: 5 ссылок");
+  assert.equal(createTranslator("xx").locale, "en");
+  assert.equal(en("no.such.key"), "no.such.key");
+  assert.deepEqual(buildBulkSummary([{ link: "l1", status: "valid" }], { t: ru }).slice(0, 2), [
+    "Готово. Всего: 1 ссылка",
+    "Действительных: 1 ссылка",
+  ]);
+});
+
+test("resolveLocale maps Telegram language codes to shipped catalogs", () => {
+  assert.equal(resolveLocale("ru"), "ru");
+  assert.equal(resolveLocale("en-GB"), "en");
+  assert.equal(resolveLocale("pt-br"), null);
+  assert.equal(resolveLocale(undefined), null);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mapWithConcurrency, createJobRegistry } = require("../src/jobs");
+
+test("mapWithConcurrency bounds in-flight calls and keeps order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const out = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (n) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, n));
+    inFlight--;
+    return n * 10;
+  });
+  assert.deepEqual(out, [50, 10, 40, 20, 30]);
+  assert.equal(peak, 2);
+});
+
+test("mapWithConcurrency stops starting items once aborted", async () => {
+  const controller = new AbortController();
+  const started = [];
+  await assert.rejects(
+    mapWithConcurrency(
+      [1, 2, 3, 4],
+      1,
+      async (n) => {
+        started.push(n);
+        if (n === 2) controller.abort();
+      },
+      { signal: controller.signal }
+    ),
+    { code: "JOB_CANCELLED" }
+  );
+  assert.deepEqual(started, [1, 2]);
+});
+
+test("job registry caps jobs per user and cancels by id", () => {
+  const jobs = createJobRegistry({ maxPerUser: 2 });
+  const a = jobs.start(1);
+  const b = jobs.start(1);
+  assert.equal(jobs.start(1), null);
+  assert.ok(jobs.start(2));
+
+  assert.deepEqual(jobs.cancel(2, a.id), []);
+  assert.deepEqual(jobs.cancel(1, b.id).map((job) => job.id), [b.id]);
+  assert.equal(b.signal.aborted, true);
+  assert.equal(a.signal.aborted, false);
+
+  jobs.finish(b.id);
+  assert.ok(jobs.start(1));
+  assert.equal(jobs.activeCount(), 3);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { promises: fsp } = require("fs");
+const { createJsonStore } = require("../src/storage");
+const { normalizeListName, createLinkLists, listRunChanges } = require("../src/lists");
+
+async function openStore() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "telecheck-lists-"));
+  const store = createJsonStore({ file: path.join(dir, "store.json") });
+  await store.open();
+  return { dir, store };
+}
+
+test("list names are lowercased and limited to a safe alphabet", () => {
+  assert.equal(normalizeListName("Partner_Channels"), "partner_channels");
+  assert.equal(normalizeListName("ad-placements"), "ad-placements");
+  assert.equal(normalizeListName("-lead"), null);
+  assert.equal(normalizeListName("two words"), null);
+  assert.equal(normalizeListName("x".repeat(33)), null);
+});
+
+test("lists are saved per user within the list and link limits", async () => {
+  const { dir, store } = await openStore();
+  const lists = createLinkLists({ store, maxLists: 2, maxLinks: 3 });
+  const saved = await lists.save(1, "partners", ["https://t.me/a_chan", "https://t.me/b_chan", "https://t.me/c_chan", "https://t.me/d_chan"]);
+  assert.equal(saved.created, true);
+  assert.equal(saved.overLimit, 1);
+  assert.deepEqual(await lists.addLinks(1, "partners", ["https://t.me/a_chan", "https://t.me/e_chan"]), { added: 0, existing: 1, overLimit: 1, total: 3 });
+  assert.deepEqual(await lists.removeLinks(1, "partners", ["https://t.me/b_chan"]), { removed: 1, total: 2 });
+  assert.equal(await lists.addLinks(1, "missing", ["https://t.me/a_chan"]), null);
+
+  await lists.save(1, "ads", ["https://t.me/ads_one"]);
+  assert.equal(await lists.save(1, "third", ["https://t.me/x_chan"]), null);
+  assert.equal((await lists.save(1, "ads", ["https://t.me/ads_two"])).created, false);
+  assert.deepEqual((await lists.names(1)).map((l) => [l.name, l.count]), [
+    ["ads", 1],
+    ["partners", 2],
+  ]);
+  assert.deepEqual(await lists.names(2), []);
+
+  assert.equal(await lists.deleteList(1, "ads"), true);
+  assert.equal(await lists.deleteList(1, "ads"), false);
+  assert.equal(await lists.get(1, "ads"), null);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("recordRun returns the previous run and changes report newly dead and revived links", async () => {
+  const { dir, store } = await openStore();
+  const lists = createLinkLists({ store });
+  await lists.save(1, "watch", ["https://t.me/a_chan", "https://t.me/b_chan", "https://t.me/c_chan"]);
+  const first = [
+    { link: "https://t.me/a_chan", status: "valid" },
+    { link: "https://t.me/b_chan", status: "invalid" },
+    { link: "https://t.me/c_chan", status: "valid" },
+  ];
+  assert.equal(await lists.recordRun(1, "watch", first, Date.UTC(2026, 0, 1)), null);
+  const second = [
+    { link: "https://t.me/a_chan", status: "invalid" },
+    { link: "https://t.me/b_chan", status: "valid" },
+    { link: "https://t.me/c_chan", status: "unknown" },
+    { link: "https://t.me/d_chan", status: "invalid" },
+  ];
+  const previous = await lists.recordRun(1, "watch", second, Date.UTC(2026, 0, 8));
+  assert.equal(previous.at, "2026-01-01T00:00:00.000Z");
+
+  const { dead, revived } = listRunChanges(previous.results, second);
+  assert.deepEqual(dead, [{ link: "https://t.me/a_chan", previous: "valid", current: "invalid" }]);
+  assert.deepEqual(revived, [{ link: "https://t.me/b_chan", previous: "invalid", current: "valid" }]);
+  assert.equal((await lists.get(1, "watch")).lastRun.at, "2026-01-08T00:00:00.000Z");
+  await fsp.rm(dir, { recursive: true, force: true });
+});
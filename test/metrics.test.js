@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMetricsRegistry, createStatusServer } = require("../src/metrics");
+
+test("registry renders counters, collected gauges and cumulative histograms", () => {
+  const registry = createMetricsRegistry({ prefix: "t_" });
+  const hits = registry.counter("hits_total", "Hits.", ["kind"]);
+  registry.gauge("jobs", "Jobs.", [], () => [{ value: 3 }]);
+  const latency = registry.histogram("latency_seconds", "Latency.", ["endpoint"], [0.1, 1]);
+
+  hits.inc({ kind: 'say "hi"' });
+  hits.inc({ kind: 'say "hi"' }, 2);
+  latency.observe({ endpoint: "single" }, 0.05);
+  latency.observe({ endpoint: "single" }, 0.5);
+
+  const text = registry.render();
+  assert.match(text, /# TYPE t_hits_total counter\nt_hits_total\{kind="say \\"hi\\""\} 3\n/);
+  assert.match(text, /\nt_jobs 3\n/);
+  assert.match(text, /t_latency_seconds_bucket\{endpoint="single",le="0.1"\} 1\n/);
+  assert.match(text, /t_latency_seconds_bucket\{endpoint="single",le="1"\} 2\n/);
+  assert.match(text, /t_latency_seconds_bucket\{endpoint="single",le="\+Inf"\} 2\n/);
+  assert.match(text, /t_latency_seconds_count\{endpoint="single"\} 2\n/);
+});
+
+test("status server answers health probes with 200/503 and serves metrics", async () => {
+  const registry = createMetricsRegistry();
+  registry.counter("up_total", "Up.").inc();
+  const server = createStatusServer({ registry, health: () => ({ live: true, ready: false, checks: {} }) });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const live = await fetch(`${base}/healthz`);
+    assert.equal(live.status, 200);
+    assert.equal((await live.json()).ok, true);
+    const ready = await fetch(`${base}/readyz`);
+    assert.equal(ready.status, 503);
+    assert.equal((await ready.json()).ready, false);
+    const metrics = await fetch(`${base}/metrics`);
+    assert.match(await metrics.text(), /^up_total 1$/m);
+    assert.equal((await fetch(`${base}/other`)).status, 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTiers, formatDuration, createTokenBuckets, quotaPeriods, createQuotaTracker } = require("../src/quota");
+const { createStore } = require("../src/storage");
+
+test("parseTiers reads name:daily/monthly lists", () => {
+  assert.deepEqual(parseTiers("default:500/10000, Admin:0/0"), {
+    default: { daily: 500, monthly: 10000 },
+    admin: { daily: 0, monthly: 0 },
+  });
+  assert.throws(() => parseTiers("default:500"), /Invalid quota tier/);
+  assert.throws(() => parseTiers(""), /At least one/);
+});
+
+test("token bucket charges per link, refills over time and reports the wait", () => {
+  const buckets = createTokenBuckets({ capacity: 10, refillPerMinute: 60 });
+  assert.deepEqual(buckets.take(1, 8, 0), { ok: true, tokens: 2, waitMs: 0 });
+  assert.deepEqual(buckets.take(1, 5, 0), { ok: false, tokens: 2, waitMs: 3000 });
+  assert.deepEqual(buckets.check(1, 2, 0), { ok: true, tokens: 0, waitMs: 0 });
+  assert.equal(buckets.peek(1, 0), 2, "check takes nothing");
+  assert.equal(buckets.take(1, 5, 3000).ok, true);
+  assert.equal(buckets.take(1, 11, 60000).waitMs, Infinity, "cost above capacity never fits");
+  assert.equal(buckets.peek(2, 0), 10, "buckets are per user");
+  assert.equal(formatDuration(3000), "3s");
+  assert.equal(formatDuration(200 * 1000), "3m 20s");
+  assert.equal(formatDuration(5 * 3600 * 1000 + 3 * 60 * 1000), "5h 3m");
+  assert.equal(formatDuration(12 * 86400 * 1000 + 4 * 3600 * 1000), "12d 4h");
+});
+
+test("quota tracker enforces daily and monthly limits per UTC period", async () => {
+  const store = createStore("json", { file: ":memory:" });
+  const tiers = parseTiers("default:10/15,admin:0/0");
+  const quotas = createQuotaTracker({ store, tiers });
+  const day1 = Date.UTC(2026, 0, 31, 12);
+  const day2 = Date.UTC(2026, 1, 1, 0, 30);
+
+  assert.equal(quotas.check(1, "default", 10, day1), null);
+  await quotas.consume(1, 10, day1);
+  const daily = quotas.check(1, "default", 1, day1);
+  assert.equal(daily.period, "daily");
+  assert.equal(daily.resetAt, Date.UTC(2026, 1, 1));
+  assert.equal(quotas.check(1, "admin", 1000, day1), null);
+
+  assert.equal(quotas.check(1, "default", 10, day2), null, "new day and month");
+  assert.equal(quotaPeriods(day2).month, "2026-02");
+
+  const reloaded = createQuotaTracker({ store, tiers });
+  assert.equal(await reloaded.load(), 1);
+  assert.equal(reloaded.status(1, "default", day1).daily.remaining, 0);
+  const nextDay = Date.UTC(2026, 0, 30, 12);
+  const fresh = createQuotaTracker({ store: createStore("json", { file: ":memory:" }), tiers });
+  await fresh.consume(2, 10, nextDay - 24 * 3600 * 1000);
+  assert.equal(fresh.check(2, "default", 5, nextDay), null);
+  const monthly = fresh.check(2, "default", 6, nextDay);
+  assert.equal(monthly.period, "monthly");
+  assert.equal(monthly.remaining, 5);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRetryAfter, createCircuitBreaker, createLatencyTracker } = require("../src/resilience");
+
+test("parseRetryAfter accepts seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter("Thu, 01 Jan 1970 00:00:10 GMT", 4000), 6000);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter("soon"), null);
+});
+
+test("circuit breaker opens after repeated failures and half-opens after cooldown", () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+  breaker.tryAcquire();
+  breaker.onFailure();
+  breaker.tryAcquire();
+  breaker.onFailure();
+  assert.deepEqual(breaker.tryAcquire(), { allowed: false, retryInMs: 1000 });
+  assert.equal(breaker.snapshot().state, "open");
+
+  now = 1000;
+  assert.equal(breaker.tryAcquire().allowed, true);
+  assert.equal(breaker.tryAcquire().allowed, false, "only one half-open probe at a time");
+  breaker.onFailure();
+  assert.equal(breaker.snapshot().state, "open");
+
+  now = 2000;
+  assert.equal(breaker.tryAcquire().allowed, true);
+  breaker.onSuccess();
+  assert.equal(breaker.snapshot().state, "closed");
+  assert.equal(breaker.snapshot().openedCount, 2);
+});
+
+test("circuit breaker can be opened for a Retry-After window", () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ now: () => now });
+  breaker.openFor(60000);
+  now = 30000;
+  assert.deepEqual(breaker.tryAcquire(), { allowed: false, retryInMs: 30000 });
+});
+
+test("latency tracker reports rolling percentiles and error rate", () => {
+  const tracker = createLatencyTracker({ windowSize: 4 });
+  for (const [ms, ok] of [[1000, false], [10, true], [20, true], [30, false], [40, true]]) tracker.record("single", ms, ok);
+  assert.deepEqual(tracker.snapshot().single, { count: 4, errorRate: 0.25, p50: 20, p95: 40, p99: 40 });
+});
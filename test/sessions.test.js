@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createBulkSessions } = require("../src/sessions");
+
+test("bulk sessions collect and dedup links across messages", () => {
+  const sessions = createBulkSessions({ maxLinks: 3 });
+  assert.equal(sessions.add(1, 1, ["t.me/first"]), null);
+  sessions.open(1, 1);
+  assert.deepEqual(sessions.add(1, 1, ["t.me/first", "@first", "https://example.com"]), {
+    added: 1,
+    duplicates: 1,
+    overLimit: 0,
+    skipped: 1,
+    total: 1,
+  });
+  const outcome = sessions.add(1, 1, ["t.me/second", "t.me/third", "t.me/fourth"]);
+  assert.equal(outcome.added, 2);
+  assert.equal(outcome.overLimit, 1);
+
+  const session = sessions.take(1, 1);
+  assert.deepEqual(session.links, ["https://t.me/first", "https://t.me/second", "https://t.me/third"]);
+  assert.equal(session.skipped.length, 1);
+  assert.equal(sessions.get(1, 1), null);
+});
+
+test("bulk sessions are kept per chat", () => {
+  const sessions = createBulkSessions();
+  sessions.open(1, 1);
+  assert.equal(sessions.get(1, -100), null);
+  assert.equal(sessions.add(1, -100, ["t.me/first"]), null);
+  assert.equal(sessions.take(1, -100), null);
+  assert.equal(sessions.add(1, 1, ["t.me/first"]).added, 1);
+});
+
+test("expired sessions are reported by sweep or by the open that replaces them", () => {
+  const sessions = createBulkSessions({ ttlMs: 100 });
+  sessions.open(1, 1, 0);
+  sessions.open(2, 2, 0);
+  sessions.open(3, 3, 0);
+  sessions.add(2, 2, ["t.me/first"], 80);
+  assert.equal(sessions.get(1, 1, 150), null);
+  assert.equal(sessions.take(1, 1, 150), null, "an expired session cannot be run");
+  assert.equal(sessions.open(3, 3, 150).expired.userId, 3);
+
+  const expired = sessions.sweep(150);
+  assert.deepEqual(expired.map((s) => s.userId), [1]);
+  assert.ok(sessions.get(2, 2, 150));
+  assert.equal(sessions.get(2, 2, 200), null);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { promises: fsp } = require("fs");
+const { STORE_SCHEMA_VERSION, createJsonStore, createSqliteStore, createKeyedQueue, importLegacyFiles, importLegacyWatchlist } = require("../src/storage");
+
+function hasSqliteDriver() {
+  try {
+    require.resolve("better-sqlite3");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function tempDir() {
+  return fsp.mkdtemp(path.join(os.tmpdir(), "telecheck-store-"));
+}
+
+test("json store serializes concurrent writes and leaves no temp files", async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, "store.json");
+  const store = createJsonStore({ file });
+  await store.open();
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.set("prefs", String(i), { n: i })));
+  assert.equal(await store.delete("prefs", "3"), true);
+  await store.close();
+
+  assert.deepEqual(await fsp.readdir(dir), ["store.json"]);
+  const reopened = createJsonStore({ file });
+  await reopened.open();
+  assert.equal((await reopened.entries("prefs")).length, 19);
+  assert.deepEqual(await reopened.get("prefs", "7"), { n: 7 });
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("json store batches changes into one write until flushed", async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, "store.json");
+  const store = createJsonStore({ file, writeDelayMs: 60000 });
+  await store.open();
+  await store.set("prefs", "1", { n: 1 });
+  await store.set("prefs", "2", { n: 2 });
+  await assert.rejects(fsp.readFile(file), { code: "ENOENT" });
+  await store.flush();
+  assert.deepEqual(JSON.parse(await fsp.readFile(file, "utf8")).namespaces.prefs, { 1: { n: 1 }, 2: { n: 2 } });
+  await store.close();
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("json store migrates unversioned documents and refuses corrupt or newer files", async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, "store.json");
+  await fsp.writeFile(file, JSON.stringify({ namespaces: { auth: { 1: {} } } }));
+  const store = createJsonStore({ file });
+  assert.deepEqual(await store.open(), { version: STORE_SCHEMA_VERSION, migratedFrom: 0 });
+  assert.equal(JSON.parse(await fsp.readFile(file, "utf8")).version, STORE_SCHEMA_VERSION);
+  assert.deepEqual(await store.entries("auth"), [["1", {}]]);
+
+  await fsp.writeFile(file, '{"version": 1, "namespaces": {');
+  await assert.rejects(createJsonStore({ file }).open(), { code: "STORE_CORRUPT" });
+  await fsp.writeFile(file, JSON.stringify({ version: STORE_SCHEMA_VERSION + 1, namespaces: {} }));
+  await assert.rejects(createJsonStore({ file }).open(), { code: "STORE_VERSION_UNSUPPORTED" });
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("keyed queue runs updates of one key in order and other keys alongside", async () => {
+  const queue = createKeyedQueue();
+  const order = [];
+  const slow = (label, ms) => () => new Promise((resolve) => setTimeout(() => resolve(order.push(label)), ms));
+  await Promise.all([queue("a", slow("a1", 20)), queue("a", slow("a2", 0)), queue("b", slow("b1", 5))]);
+  assert.deepEqual(order, ["b1", "a1", "a2"]);
+  await assert.rejects(queue("a", () => Promise.reject(new Error("boom"))), /boom/);
+  assert.equal(await queue("a", async (key) => key), "a", "a failed update does not block the next one");
+});
+
+test("legacy auth, prefs and group files are imported once", async () => {
+  const dir = await tempDir();
+  const authFile = path.join(dir, "auth-users.json");
+  const prefsFile = path.join(dir, "user-settings.json");
+  await fsp.writeFile(authFile, JSON.stringify({ user_ids: [5, "6", "x"] }));
+  await fsp.writeFile(prefsFile, JSON.stringify({ users: { 5: { showInvalidBulk: false } } }));
+  const store = createJsonStore({ file: path.join(dir, "store.json") });
+  await store.open();
+
+  const files = { authFile, prefsFile, groupSettingsFile: path.join(dir, "missing.json") };
+  assert.deepEqual(await importLegacyFiles(store, files), { auth: 2, prefs: 1, groups: 0 });
+  assert.deepEqual((await store.entries("auth")).map(([key]) => key), ["5", "6"]);
+  assert.deepEqual(await store.get("prefs", "5"), { showInvalidBulk: false });
+  assert.equal(await importLegacyFiles(store, files), null);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("the legacy watchlist file is imported once", async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, "watchlist.json");
+  await fsp.writeFile(file, JSON.stringify({ users: { 5: { "https://t.me/one": { status: "valid" } }, x: {} } }));
+  const store = createJsonStore({ file: path.join(dir, "store.json") });
+  await store.open();
+  assert.equal(await importLegacyWatchlist(store, file), 1);
+  assert.deepEqual(await store.get("watch", "5"), { "https://t.me/one": { status: "valid" } });
+  assert.equal(await importLegacyWatchlist(store, file), null);
+  await store.close();
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("sqlite store round-trips values and records its schema version", { skip: !hasSqliteDriver() }, async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, "store.sqlite");
+  const store = createSqliteStore({ file });
+  assert.deepEqual(await store.open(), { version: STORE_SCHEMA_VERSION, migratedFrom: 0 });
+  await store.set("groups", -100, { mode: "silent" });
+  await store.set("groups", -100, { mode: "summary" });
+  await store.close();
+
+  const reopened = createSqliteStore({ file });
+  assert.deepEqual(await reopened.open(), { version: STORE_SCHEMA_VERSION, migratedFrom: null });
+  assert.deepEqual(await reopened.entries("groups"), [["-100", { mode: "summary" }]]);
+  assert.equal(await reopened.delete("groups", "-100"), true);
+  assert.equal(await reopened.get("groups", "-100"), undefined);
+  await reopened.close();
+  await fsp.rm(dir, { recursive: true, force: true });
+});
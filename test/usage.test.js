@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { failureTarget, createUsageStats, recentDays, digestPeriods, nextDigestAt } = require("../src/usage");
+const { createStore } = require("../src/storage");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("failureTarget names usernames and domains", () => {
+  assert.equal(failureTarget("https://t.me/Gone_Chan/12"), "@gone_chan");
+  assert.equal(failureTarget("https://t.me/+AbCdEf123"), "private invite");
+  assert.equal(failureTarget("https://Example.com/page"), "example.com");
+  assert.equal(failureTarget("x.com"), "x.com");
+});
+
+test("usage stats count per day, survive reloads and drop expired days", async () => {
+  const store = createStore("json", { file: ":memory:" });
+  const day1 = Date.UTC(2026, 2, 1, 10);
+  const usage = createUsageStats({ store, retainDays: 7 });
+  await usage.record(1, "single", [{ link: "https://t.me/alive", status: "valid" }], day1);
+  await usage.record(2, "bulk", [
+    { link: "https://t.me/gone", status: "invalid" },
+    { link: "https://t.me/gone", status: "invalid" },
+    { link: "https://example.com", status: "skipped" },
+    { link: "https://t.me/maybe", status: "unknown" },
+  ], day1);
+  await usage.record(1, "bulk", [{ link: "https://t.me/gone", status: "invalid" }], day1 + DAY);
+
+  const reloaded = createUsageStats({ store, retainDays: 7 });
+  assert.equal(await reloaded.load(day1 + DAY), 2);
+  const total = reloaded.summarize("2026-03-01", "2026-03-02");
+  assert.equal(total.checks, 3);
+  assert.equal(total.links, 6);
+  assert.equal(total.activeUsers, 2);
+  assert.deepEqual(total.kinds, { single: 1, bulk: 2 });
+  assert.deepEqual(total.statuses, { valid: 1, invalid: 3, unknown: 1, skipped: 1 });
+  assert.deepEqual(total.topUsers, [{ userId: 1, checks: 2 }, { userId: 2, checks: 1 }]);
+  assert.deepEqual(total.topFailures[0], { target: "@gone", count: 3 });
+  assert.equal(reloaded.summarize("2026-03-02", "2026-03-02").checks, 1);
+
+  await reloaded.record(3, "single", [], day1 + 7 * DAY);
+  assert.equal(reloaded.summarize("2026-03-01", "2026-03-01").checks, 0);
+  assert.equal(await store.get("usage_stats", "2026-03-01"), undefined);
+});
+
+test("digest periods and send times follow the schedule in UTC", () => {
+  const monday = Date.UTC(2026, 2, 2, 12);
+  assert.deepEqual(recentDays(7, monday), { from: "2026-02-24", to: "2026-03-02" });
+  assert.deepEqual(digestPeriods("daily", monday), {
+    current: { from: "2026-03-01", to: "2026-03-01" },
+    previous: { from: "2026-02-28", to: "2026-02-28" },
+  });
+  assert.deepEqual(digestPeriods("weekly", monday), {
+    current: { from: "2026-02-23", to: "2026-03-01" },
+    previous: { from: "2026-02-16", to: "2026-02-22" },
+  });
+  assert.equal(nextDigestAt("daily", 9, monday), Date.UTC(2026, 2, 3, 9));
+  assert.equal(nextDigestAt("daily", 13, monday), Date.UTC(2026, 2, 2, 13));
+  assert.equal(nextDigestAt("weekly", 9, monday), Date.UTC(2026, 2, 9, 9));
+});
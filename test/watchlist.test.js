@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { promises: fsp } = require("fs");
+const { createWatchStore } = require("../src/watchlist");
+const { createJsonStore } = require("../src/storage");
+
+test("watch store enforces the per-user limit", () => {
+  const store = createWatchStore({ maxPerUser: 2 });
+  const out = store.add(1, ["https://t.me/one", "https://t.me/two", "https://t.me/three"]);
+  assert.deepEqual(out.added, ["https://t.me/one", "https://t.me/two"]);
+  assert.deepEqual(out.overLimit, ["https://t.me/three"]);
+  assert.deepEqual(store.add(1, ["https://t.me/one"]).existing, ["https://t.me/one"]);
+  assert.deepEqual(store.add(2, ["https://t.me/three"]).added, ["https://t.me/three"]);
+});
+
+test("watch store reports only status changes after a baseline", () => {
+  const store = createWatchStore();
+  store.add(1, ["https://t.me/one"]);
+  store.add(2, ["https://t.me/one"]);
+  assert.deepEqual(store.applyResults([{ link: "https://t.me/one", status: "valid" }], "t1"), []);
+  assert.deepEqual(store.applyResults([{ link: "https://t.me/one", status: "unknown" }], "t2"), []);
+  const changes = store.applyResults([{ link: "https://t.me/one", status: "invalid" }], "t3");
+  assert.deepEqual(changes, [
+    { userId: 1, link: "https://t.me/one", previous: "valid", current: "invalid", at: "t3" },
+    { userId: 2, link: "https://t.me/one", previous: "valid", current: "invalid", at: "t3" },
+  ]);
+  assert.equal(store.list(1)[0].since, "t3");
+});
+
+test("watch store removes links and round-trips through the store", async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "telecheck-watch-"));
+  const store = createJsonStore({ file: path.join(dir, "store.json") });
+  await store.open();
+  const first = createWatchStore({ store });
+  first.add(1, ["https://t.me/one", "https://t.me/two"]);
+  first.add(2, ["https://t.me/three"]);
+  assert.deepEqual(first.remove(1, ["https://t.me/two", "https://t.me/nope"]), ["https://t.me/two"]);
+  first.remove(2, ["https://t.me/three"]);
+  await first.persist();
+  assert.deepEqual((await store.entries("watch")).map(([key]) => key), ["1"]);
+
+  const second = createWatchStore({ store });
+  assert.equal(await second.load(), 1);
+  assert.deepEqual(second.allLinks(), ["https://t.me/one"]);
+  await store.close();
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("watch store matches results by canonical link", () => {
+  const store = createWatchStore();
+  store.add(1, ["https://t.me/durov"]);
+  store.applyResults([{ link: "https://t.me/durov", status: "valid" }], "t1");
+  const changes = store.applyResults([{ link: "t.me/Durov/", status: "invalid" }], "t2");
+  assert.deepEqual(changes.map((c) => [c.link, c.current]), [["https://t.me/durov", "invalid"]]);
+});